@@ -0,0 +1,77 @@
+const sqlite3 = require("sqlite3").verbose();
+const path = require("path");
+const fs = require("fs");
+require("dotenv").config();
+const { createStorage } = require("./lib/storage");
+const { buildExportQuery, writeGalleryExport } = require("./lib/export");
+
+// Export the gallery to a ZIP (images + manifest.csv + manifest.json)
+//
+//   node export-gallery.js [--out gallery.zip] [--status approved]
+//                          [--created-after DATE] [--created-before DATE]
+//                          [--storage local|spaces]
+
+function parseArgs(argv) {
+  const args = {
+    out: `gallery-export-${new Date().toISOString().slice(0, 10)}.zip`,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--out":
+        args.out = argv[++i];
+        break;
+      case "--status":
+        args.status = argv[++i];
+        break;
+      case "--created-after":
+        args.createdAfter = argv[++i];
+        break;
+      case "--created-before":
+        args.createdBefore = argv[++i];
+        break;
+      case "--storage":
+        args.storage = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const query = buildExportQuery(args);
+  const storage = createStorage(args.storage);
+
+  const db = new sqlite3.Database(
+    path.join(__dirname, "database", "users.db")
+  );
+  const rows = await new Promise((resolve, reject) =>
+    db.all(query.sql, query.params, (err, result) =>
+      err ? reject(err) : resolve(result)
+    )
+  );
+  db.close();
+
+  console.log(`📦 Exporting ${rows.length} submissions from ${storage.name}...`);
+
+  const manifest = await writeGalleryExport({
+    rows,
+    storage,
+    output: fs.createWriteStream(args.out),
+  });
+
+  const missing = manifest.filter((entry) => entry.error).length;
+  console.log(`✅ Wrote ${args.out}`);
+  if (missing > 0) {
+    console.log(`⚠️  ${missing} image(s) could not be read - see the manifest`);
+  }
+}
+
+main().catch((error) => {
+  console.error("❌ Export failed:", error.message);
+  process.exit(1);
+});
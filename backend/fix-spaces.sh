@@ -40,11 +40,12 @@ cat > package.json << 'EOF'
     "express": "^4.18.2",
     "sqlite3": "^5.1.6",
     "multer": "^1.4.5-lts.1",
-    "multer-s3": "^2.10.0",
     "aws-sdk": "^2.1490.0",
     "cors": "^2.8.5",
     "uuid": "^9.0.1",
-    "dotenv": "^16.3.1"
+    "dotenv": "^16.3.1",
+    "sharp": "^0.33.5",
+    "archiver": "^7.0.1"
   },
   "devDependencies": {
     "nodemon": "^3.0.2"
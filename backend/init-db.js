@@ -28,6 +28,17 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
+// Add a column to an existing table (no-op if it is already there)
+function addColumn(table, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+    if (err && !/duplicate column name/.test(err.message)) {
+      console.error(`❌ Error adding column to ${table}:`, err.message);
+    } else if (!err) {
+      console.log(`✅ Added column to ${table}: ${definition}`);
+    }
+  });
+}
+
 // Create users table with single name field
 db.serialize(() => {
   db.run(
@@ -50,6 +61,27 @@ db.serialize(() => {
     }
   );
 
+  // JSON map of processed image variants: { size: { format: { path, url } } }
+  addColumn("users", "image_variants TEXT");
+
+  // Moderation: pending | approved | rejected | hidden. Existing rows
+  // predate moderation and stay visible.
+  addColumn("users", "status TEXT NOT NULL DEFAULT 'approved'");
+  addColumn("users", "moderation_reason TEXT");
+  addColumn("users", "moderated_at TEXT");
+
+  // Soft delete: set when a submission is moved to the trash
+  addColumn("users", "deleted_at TEXT");
+
+  // File name as uploaded, kept for exports
+  addColumn("users", "original_filename TEXT");
+
+  // Duplicate detection: SHA-256 of the upload, 64-bit dHash (hex) and the
+  // earlier submission this one looked like when it was flagged
+  addColumn("users", "content_hash TEXT");
+  addColumn("users", "perceptual_hash TEXT");
+  addColumn("users", "duplicate_of TEXT");
+
   // Voting tables
   db.run(
     `
@@ -95,6 +127,10 @@ db.serialize(() => {
     }
   });
 
+  // Timed rounds: when the scheduled round opens / the running one closes
+  addColumn("voting_config", "opens_at TEXT");
+  addColumn("voting_config", "closes_at TEXT");
+
   db.run(
     `
   CREATE TABLE IF NOT EXISTS voting_history (
@@ -132,6 +168,306 @@ db.serialize(() => {
     }
   );
 
+  // Ballot options per round. A round without rows of its own uses the
+  // latest earlier round's ballot (or the default A-F)
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS ballot_options (
+    round INTEGER NOT NULL,
+    key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    image_url TEXT,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (round, key)
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating ballot_options table:", err.message);
+      } else {
+        console.log("✅ Ballot options table created successfully");
+      }
+    }
+  );
+
+  // Per-round voting settings. Like ballots, a round without a row of its
+  // own uses the latest earlier round's settings
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS round_settings (
+    round INTEGER PRIMARY KEY,
+    pending_policy TEXT NOT NULL DEFAULT 'discard'
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating round_settings table:", err.message);
+      } else {
+        console.log("✅ Round settings table created successfully");
+      }
+    }
+  );
+
+  // Gallery-linked ballots: the submission (users.id) an option stands for
+  addColumn("ballot_options", "submission_id TEXT");
+
+  // Vote-change modes (see lib/rounds.js)
+  addColumn("round_settings", "change_mode TEXT NOT NULL DEFAULT 'first_wins'");
+  addColumn("round_settings", "max_changes INTEGER NOT NULL DEFAULT 1");
+  addColumn("votes", "updated_at DATETIME");
+
+  // Voting modes: a vote's options in order, as JSON (single-option votes
+  // only have `letter`, which holds the first choice either way)
+  addColumn("round_settings", "mode TEXT NOT NULL DEFAULT 'single'");
+  addColumn("round_settings", "max_selections INTEGER");
+  addColumn("votes", "choices TEXT");
+  addColumn("pending_votes", "choices TEXT");
+
+  // Audit trail of votes replaced by a later vote from the same phone
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS vote_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    vote_id INTEGER NOT NULL,
+    round INTEGER NOT NULL,
+    phone_number TEXT NOT NULL,
+    old_letter TEXT NOT NULL,
+    new_letter TEXT NOT NULL,
+    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating vote_changes table:", err.message);
+      } else {
+        console.log("✅ Vote changes table created successfully");
+      }
+    }
+  );
+
+  // Numbers (or number prefixes, is_prefix = 1) whose messages are ignored
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS blocklist (
+    value TEXT PRIMARY KEY,
+    is_prefix INTEGER NOT NULL DEFAULT 0,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating blocklist table:", err.message);
+      } else {
+        console.log("✅ Blocklist table created successfully");
+      }
+    }
+  );
+
+  // Votes flagged as part of a suspicious burst - not counted unless an
+  // admin releases them
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS quarantined_votes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT NOT NULL,
+    letter TEXT NOT NULL,
+    choices TEXT,
+    round INTEGER NOT NULL,
+    reason TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating quarantined_votes table:", err.message);
+      } else {
+        console.log("✅ Quarantined votes table created successfully");
+      }
+    }
+  );
+
+  // Numbers that texted STOP - they get no replies until they text START
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    phone_number TEXT PRIMARY KEY,
+    opted_out_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating sms_opt_outs table:", err.message);
+      } else {
+        console.log("✅ SMS opt-outs table created successfully");
+      }
+    }
+  );
+
+  // Admin-defined SMS keywords and the reply each one gets
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS sms_keywords (
+    keyword TEXT PRIMARY KEY,
+    reply TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating sms_keywords table:", err.message);
+      } else {
+        console.log("✅ SMS keywords table created successfully");
+      }
+    }
+  );
+
+  // Messages that were neither a command, a vote nor a pledge
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS unrecognized_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT NOT NULL,
+    body TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating unrecognized_messages table:", err.message);
+      } else {
+        console.log("✅ Unrecognized messages table created successfully");
+      }
+    }
+  );
+
+  // Customized SMS reply templates (the built-in ones live in
+  // lib/sms-replies.js)
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS sms_templates (
+    name TEXT NOT NULL,
+    language TEXT NOT NULL,
+    body TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (name, language)
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating sms_templates table:", err.message);
+      } else {
+        console.log("✅ SMS templates table created successfully");
+      }
+    }
+  );
+
+  // A customized auto_reply_message (app_config) becomes the English pledge
+  // reply. app_config is created by the server, so it may not exist yet.
+  db.run(
+    `
+  INSERT OR IGNORE INTO sms_templates (name, language, body)
+  SELECT 'donation_received', 'en', value FROM app_config
+  WHERE key = 'auto_reply_message' AND value != 'Thank you for your pledge!'
+`,
+    (err) => {
+      if (err && !err.message.includes("no such table")) {
+        console.error("❌ Error migrating auto_reply_message:", err.message);
+      }
+    }
+  );
+
+  // Likewise a customized unrecognized_reply becomes the English reply to
+  // texts nobody could make sense of
+  db.run(
+    `
+  INSERT OR IGNORE INTO sms_templates (name, language, body)
+  SELECT 'unrecognized', 'en', value FROM app_config
+  WHERE key = 'unrecognized_reply'
+    AND value != 'Sorry, we didn''t get that. Text HELP for options.'
+`,
+    (err) => {
+      if (err && !err.message.includes("no such table")) {
+        console.error("❌ Error migrating unrecognized_reply:", err.message);
+      }
+    }
+  );
+
+  // Outbound SMS broadcasts (status: sending | completed | cancelled) and
+  // one row per recipient with its delivery status
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS broadcasts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT,
+    body TEXT NOT NULL,
+    audience TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'sending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating broadcasts table:", err.message);
+      } else {
+        console.log("✅ Broadcasts table created successfully");
+      }
+    }
+  );
+
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS broadcast_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    broadcast_id INTEGER NOT NULL,
+    phone_number TEXT NOT NULL,
+    body TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    provider_id TEXT,
+    error TEXT,
+    sent_at DATETIME,
+    updated_at DATETIME
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating broadcast_messages table:", err.message);
+      } else {
+        console.log("✅ Broadcast messages table created successfully");
+      }
+    }
+  );
+
+  // Resumable upload sessions - chunk data lives in tmp/uploads/<id>.part
+  db.run(
+    `
+  CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    name TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )
+`,
+    (err) => {
+      if (err) {
+        console.error("❌ Error creating upload_sessions table:", err.message);
+      } else {
+        console.log("✅ Upload sessions table created successfully");
+      }
+    }
+  );
+
+  // Completion: open | completing | completed, with the completed response
+  // (JSON { status, body }) kept for a client retrying a lost answer
+  addColumn("upload_sessions", "status TEXT NOT NULL DEFAULT 'open'");
+  addColumn("upload_sessions", "result TEXT");
+
   db.run(
     `
     CREATE TABLE IF NOT EXISTS donations (
@@ -149,6 +485,18 @@ db.serialize(() => {
     }
   );
 
+  // SMS gateway a pledge came in through (twilio, vonage, plivo, generic).
+  // Texted pledges are all tagged "twilio"; pledges stored with the gateway
+  // in tags are moved back to that tag.
+  addColumn("donations", "gateway TEXT");
+  db.run(
+    `UPDATE donations SET gateway = tags, tags = 'twilio'
+     WHERE gateway IS NULL AND tags IN ('twilio', 'vonage', 'plivo', 'generic')`,
+    (err) => {
+      if (err) console.error("❌ Error filling in donation gateways:", err.message);
+    }
+  );
+
   // Add some helpful logging
   db.get("SELECT COUNT(*) as count FROM users", (err, row) => {
     if (err) {
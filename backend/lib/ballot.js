@@ -0,0 +1,158 @@
+// Ballots: the options a voting round accepts. Keys are single letters,
+// numbers or short keywords, matched case-insensitively against the vote.
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 26;
+const MAX_LABEL_LENGTH = 100;
+
+// Letters, numbers (1-999) or keywords of up to 20 characters
+const KEY_PATTERN = /^(?:[A-Z]|[1-9]\d{0,2}|[A-Z][A-Z0-9]{1,19})$/;
+
+// Rounds without a ballot of their own accept the classic A-F
+const DEFAULT_BALLOT = ["A", "B", "C", "D", "E", "F"].map((key, i) => ({
+  key,
+  label: `Option ${key}`,
+  image_url: null,
+  position: i,
+}));
+
+// Keys for a ballot built from a list: A, B, C... or 1, 2, 3...
+function generateKeys(count, style = "letters") {
+  return Array.from({ length: count }, (_, i) =>
+    style === "numbers" ? String(i + 1) : String.fromCharCode(65 + i)
+  );
+}
+
+// Canonical form of an option key or an incoming vote
+function normalizeChoice(text) {
+  return String(text || "")
+    .trim()
+    .toUpperCase();
+}
+
+// Check an admin-supplied option list. Returns { valid: true, options } with
+// normalized keys, or { valid: false, error }.
+function validateBallot(options) {
+  if (!Array.isArray(options)) {
+    return { valid: false, error: "options must be an array" };
+  }
+  if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return {
+      valid: false,
+      error: `A ballot needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`,
+    };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const [i, option] of options.entries()) {
+    const key = normalizeChoice(option?.key);
+    if (!KEY_PATTERN.test(key)) {
+      return {
+        valid: false,
+        error: `Invalid option key "${option?.key ?? ""}" - use a letter, a number or a keyword`,
+      };
+    }
+    if (seen.has(key)) {
+      return { valid: false, error: `Duplicate option key "${key}"` };
+    }
+    seen.add(key);
+
+    const label = String(option.label ?? "").trim();
+    if (!label || label.length > MAX_LABEL_LENGTH) {
+      return {
+        valid: false,
+        error: `Option "${key}" needs a label of up to ${MAX_LABEL_LENGTH} characters`,
+      };
+    }
+
+    normalized.push({
+      key,
+      label,
+      image_url: option.image_url || null,
+      // Gallery submission (users.id) this option stands for, if any
+      submission_id: option.submission_id ? String(option.submission_id) : null,
+      position: i,
+    });
+  }
+
+  return { valid: true, options: normalized };
+}
+
+// The ballot option a vote refers to, or null
+function findOption(ballot, text) {
+  const key = normalizeChoice(text);
+  return ballot.find((option) => option.key === key) || null;
+}
+
+// The options a vote row picked, in order (rows from before multi-option
+// rounds only have `letter`)
+function voteChoices(vote) {
+  return vote.choices ? JSON.parse(vote.choices) : [vote.letter];
+}
+
+// Read a vote for a round in `mode` ("single", "approval" or "ranked").
+// Multi-option votes can be separated by spaces or commas ("B A C", "B,A,C"),
+// or run together ("BAC") when every key is a single character. Returns
+// { valid: true, choices } or { valid: false, error, looksLikeVote } -
+// looksLikeVote is set when the text is made of key-sized words and at least
+// one of them is on the ballot (a mistyped vote rather than a message).
+function parseChoices(ballot, text, { mode = "single", maxSelections = null } = {}) {
+  const options = ballot.map((option) => option.key).join(", ");
+  const offBallot = (looksLikeVote) => ({
+    valid: false,
+    error: `Not on the ballot. Options: ${options}`,
+    looksLikeVote,
+  });
+
+  if (mode === "single") {
+    const option = findOption(ballot, text);
+    return option ? { valid: true, choices: [option.key] } : offBallot(false);
+  }
+
+  let tokens = normalizeChoice(text)
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  const singleCharKeys = ballot.every((option) => option.key.length === 1);
+  if (tokens.length === 1 && singleCharKeys && !findOption(ballot, tokens[0])) {
+    tokens = [...tokens[0]];
+  }
+
+  const matched = tokens.map((token) => findOption(ballot, token));
+  const longestKey = Math.max(...ballot.map((option) => option.key.length));
+  const looksLikeVote =
+    matched.some(Boolean) &&
+    tokens.every((token) => token.length <= longestKey && !/\d/.test(token));
+  if (tokens.length === 0 || matched.includes(null)) {
+    return offBallot(looksLikeVote);
+  }
+
+  const choices = matched.map((option) => option.key);
+  if (new Set(choices).size !== choices.length) {
+    return { valid: false, error: "Pick each option only once", looksLikeVote };
+  }
+
+  const limit = Math.min(maxSelections || ballot.length, ballot.length);
+  if (choices.length > limit) {
+    return {
+      valid: false,
+      error: `Pick at most ${limit} option${limit === 1 ? "" : "s"}`,
+      looksLikeVote,
+    };
+  }
+
+  return { valid: true, choices };
+}
+
+module.exports = {
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  DEFAULT_BALLOT,
+  normalizeChoice,
+  generateKeys,
+  validateBallot,
+  findOption,
+  voteChoices,
+  parseChoices,
+};
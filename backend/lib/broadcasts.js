@@ -0,0 +1,118 @@
+const { unknownPlaceholders } = require("./sms-replies");
+
+// Outbound SMS broadcasts: who a broadcast goes to and what it says.
+// Sending, throttling and delivery tracking live in server.js.
+
+// Where recipients come from:
+//   votes          - voters in a live round ({ round }, default the current one)
+//   voting_history - voters in archived rounds ({ round }, default all)
+//   donations      - pledgers ({ tags, from, to })
+// Vote sources can be narrowed to voters for one ballot option ({ option }).
+const AUDIENCE_SOURCES = ["votes", "voting_history", "donations"];
+const MAX_AUDIENCE_ENTRIES = 10;
+
+// Per-recipient placeholders: their vote, its round, their pledge total
+const BROADCAST_PLACEHOLDERS = ["letter", "round", "amount"];
+const MAX_BODY_LENGTH = 1600;
+const MAX_NAME_LENGTH = 100;
+
+// Message statuses, in the order a message moves through them. Delivery
+// reports can arrive out of order, so a status never moves backwards.
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  undelivered: 2,
+  failed: 2,
+  skipped: 3,
+  cancelled: 3,
+};
+
+function isStatusUpgrade(current, next) {
+  return (STATUS_RANK[next] ?? -1) > (STATUS_RANK[current] ?? -1);
+}
+
+function parseTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function validateAudienceEntry(entry) {
+  if (!entry || !AUDIENCE_SOURCES.includes(entry.source)) {
+    return {
+      error: `Each audience needs a source: ${AUDIENCE_SOURCES.join(", ")}`,
+    };
+  }
+
+  const normalized = { source: entry.source };
+
+  if (entry.source === "donations") {
+    if (entry.tags !== undefined) normalized.tags = String(entry.tags);
+    for (const field of ["from", "to"]) {
+      if (entry[field] === undefined) continue;
+      normalized[field] = parseTime(entry[field]);
+      if (!normalized[field]) return { error: `${field} must be a date` };
+    }
+    return { entry: normalized };
+  }
+
+  if (entry.round !== undefined) {
+    const round = Number(entry.round);
+    if (!Number.isInteger(round) || round < 1) {
+      return { error: "round must be a positive integer" };
+    }
+    normalized.round = round;
+  }
+  if (entry.option !== undefined) {
+    normalized.option = String(entry.option).trim().toUpperCase();
+  }
+  return { entry: normalized };
+}
+
+// Check a new broadcast: { name?, body, audience } where audience is one
+// source or a list of them (recipients are the union). Returns { valid:
+// true, name, body, audience } or { valid: false, error }.
+function validateBroadcast({ name, body, audience } = {}) {
+  const text = String(body ?? "").trim();
+  if (!text || text.length > MAX_BODY_LENGTH) {
+    return { valid: false, error: `body must be 1-${MAX_BODY_LENGTH} characters` };
+  }
+
+  const unknown = unknownPlaceholders(text, BROADCAST_PLACEHOLDERS);
+  if (unknown.length > 0) {
+    return {
+      valid: false,
+      error: `Unknown placeholder(s) ${unknown.map((key) => `{${key}}`).join(", ")}. Use ${BROADCAST_PLACEHOLDERS.map((key) => `{${key}}`).join(", ")}`,
+    };
+  }
+
+  const title = name === undefined || name === null ? null : String(name).trim();
+  if (title !== null && title.length > MAX_NAME_LENGTH) {
+    return { valid: false, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const entries = Array.isArray(audience) ? audience : [audience];
+  if (entries.length === 0 || entries.length > MAX_AUDIENCE_ENTRIES) {
+    return {
+      valid: false,
+      error: `audience needs 1-${MAX_AUDIENCE_ENTRIES} sources`,
+    };
+  }
+
+  const normalized = [];
+  for (const entry of entries) {
+    const result = validateAudienceEntry(entry);
+    if (result.error) return { valid: false, error: result.error };
+    normalized.push(result.entry);
+  }
+
+  return { valid: true, name: title || null, body: text, audience: normalized };
+}
+
+module.exports = {
+  AUDIENCE_SOURCES,
+  BROADCAST_PLACEHOLDERS,
+  STATUS_RANK,
+  isStatusUpgrade,
+  validateBroadcast,
+};
@@ -0,0 +1,79 @@
+const path = require("path");
+const fs = require("fs");
+
+// Resumable uploads: chunks are appended in order to one .part file per
+// upload session. The file's length is the session's offset, so a client that
+// lost its connection asks for the offset and carries on from there.
+
+const DEFAULT_CHUNK_SIZE = 512 * 1024; // 512KB
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // same 10MB limit as /api/submit
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000; // abandoned sessions expire after a day
+
+// Session ids are v4 UUIDs; anything else never reaches the filesystem
+const UPLOAD_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const isUploadId = (value) => UPLOAD_ID_PATTERN.test(String(value));
+
+function createChunkStore(root) {
+  const partPath = (uploadId) => {
+    if (!isUploadId(uploadId)) throw new Error(`Invalid upload id: ${uploadId}`);
+    return path.join(root, `${uploadId}.part`);
+  };
+
+  return {
+    root,
+
+    async create(uploadId) {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(partPath(uploadId), Buffer.alloc(0));
+    },
+
+    // Bytes received so far (0 for an unknown session)
+    async offset(uploadId) {
+      try {
+        const stats = await fs.promises.stat(partPath(uploadId));
+        return stats.size;
+      } catch (err) {
+        if (err.code === "ENOENT") return 0;
+        throw err;
+      }
+    },
+
+    async append(uploadId, chunk) {
+      await fs.promises.appendFile(partPath(uploadId), chunk);
+    },
+
+    async read(uploadId) {
+      return fs.promises.readFile(partPath(uploadId));
+    },
+
+    async remove(uploadId) {
+      try {
+        await fs.promises.unlink(partPath(uploadId));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+  };
+}
+
+// Number of chunks a file of `size` bytes is split into
+function chunkCount(size, chunkSize) {
+  return Math.max(1, Math.ceil(size / chunkSize));
+}
+
+// Expected length of chunk `index`
+function expectedChunkLength(size, chunkSize, index) {
+  return Math.min(chunkSize, size - index * chunkSize);
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  SESSION_TTL_MS,
+  createChunkStore,
+  isUploadId,
+  chunkCount,
+  expectedChunkLength,
+};
@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// Duplicate detection. Each upload gets a SHA-256 of its bytes (exact
+// copies) and a 64-bit difference hash (dHash) stored as 16 hex chars, which
+// stays close for re-crops, re-encodes and resizes of the same picture.
+
+// Number of set bits for each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+async function hashImage(input) {
+  const contentHash = crypto.createHash("sha256").update(input).digest("hex");
+
+  // 9x8 greyscale thumbnail; each bit says whether a pixel is darker than
+  // its right-hand neighbour
+  const pixels = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let perceptualHash = "";
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col += 4) {
+      let nibble = 0;
+      for (let bit = 0; bit < 4; bit++) {
+        const i = row * 9 + col + bit;
+        nibble = (nibble << 1) | (pixels[i] < pixels[i + 1] ? 1 : 0);
+      }
+      perceptualHash += nibble.toString(16);
+    }
+  }
+
+  return { contentHash, perceptualHash };
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+// Distance between an upload's hashes and a stored row (0 for exact copies)
+function distanceTo(hashes, row) {
+  if (row.content_hash && row.content_hash === hashes.contentHash) return 0;
+  if (!row.perceptual_hash) return Infinity;
+  return hammingDistance(hashes.perceptualHash, row.perceptual_hash);
+}
+
+// Closest stored row within `threshold` bits, or null
+function findClosest(hashes, rows, threshold) {
+  let closest = null;
+
+  for (const row of rows) {
+    const distance = distanceTo(hashes, row);
+    if (distance <= threshold && (!closest || distance < closest.distance)) {
+      closest = { id: row.id, distance, exact: distance === 0 };
+    }
+  }
+
+  return closest;
+}
+
+// Group rows whose perceptual hashes are within `threshold` of each other
+// (transitively). Returns only groups with more than one member.
+function clusterDuplicates(rows, threshold) {
+  const parent = rows.map((row, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  for (let i = 0; i < rows.length; i++) {
+    const hashes = {
+      contentHash: rows[i].content_hash,
+      perceptualHash: rows[i].perceptual_hash,
+    };
+    for (let j = i + 1; j < rows.length; j++) {
+      if (distanceTo(hashes, rows[j]) <= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(row);
+  });
+
+  return [...groups.values()].filter((group) => group.length > 1);
+}
+
+module.exports = {
+  hashImage,
+  hammingDistance,
+  findClosest,
+  clusterDuplicates,
+};
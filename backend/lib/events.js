@@ -0,0 +1,68 @@
+// In-process event bus behind the Server-Sent Events stream (/api/events).
+// Recent events are kept in a ring buffer so a client that reconnects with
+// Last-Event-ID gets what it missed. Ids start at the boot time in ms, so ids
+// from before a restart are always lower than anything this process sends;
+// a client that is too far behind gets a "resync" event and should refetch.
+
+const DEFAULT_BUFFER_SIZE = 500;
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+function createEventBus({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+  let nextId = Date.now();
+  const buffer = [];
+  const clients = new Set();
+
+  const wants = (client, type) => !client.types || client.types.has(type);
+
+  return {
+    publish(type, data) {
+      const event = { id: nextId++, type, data };
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+
+      for (const client of clients) {
+        if (wants(client, type)) client.res.write(formatEvent(event));
+      }
+      return event;
+    },
+
+    // Attach an SSE response. `types` limits the stream to those event types;
+    // `lastEventId` replays everything published after it. Returns a function
+    // that detaches the client.
+    subscribe(res, { lastEventId = null, types = null } = {}) {
+      const client = { res, types: types ? new Set(types) : null };
+
+      if (lastEventId !== null && Number.isFinite(lastEventId)) {
+        const oldestId = buffer.length > 0 ? buffer[0].id : nextId;
+
+        if (lastEventId < oldestId - 1) {
+          // Events were dropped from the buffer (or lost in a restart)
+          res.write(
+            formatEvent({ id: nextId - 1, type: "resync", data: {} })
+          );
+        } else {
+          for (const event of buffer) {
+            if (event.id > lastEventId && wants(client, event.type)) {
+              res.write(formatEvent(event));
+            }
+          }
+        }
+      }
+
+      clients.add(client);
+      return () => clients.delete(client);
+    },
+
+    clientCount() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_BUFFER_SIZE,
+  createEventBus,
+};
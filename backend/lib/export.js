@@ -0,0 +1,147 @@
+const path = require("path");
+const archiver = require("archiver");
+
+// Gallery export: a ZIP of every submission's original image plus a
+// manifest (CSV and JSON). Shared by GET /api/export and export-gallery.js.
+
+const EXPORT_STATUSES = ["pending", "approved", "rejected", "hidden"];
+
+const MANIFEST_FIELDS = [
+  "id",
+  "name",
+  "created_at",
+  "original_filename",
+  "status",
+  "file",
+];
+
+// Build the users query for the export filters. Throws on invalid filters.
+function buildExportQuery({ createdAfter, createdBefore, status } = {}) {
+  const where = ["deleted_at IS NULL"];
+  const params = [];
+
+  for (const [value, op, label] of [
+    [createdAfter, ">", "created_after"],
+    [createdBefore, "<", "created_before"],
+  ]) {
+    if (value === undefined) continue;
+    if (Number.isNaN(Date.parse(value))) {
+      throw new Error(`${label} must be a valid date`);
+    }
+    where.push(`created_at ${op} datetime(?)`);
+    params.push(value);
+  }
+
+  if (status && status !== "all") {
+    if (!EXPORT_STATUSES.includes(status)) {
+      throw new Error(
+        `Status must be one of: all, ${EXPORT_STATUSES.join(", ")}`
+      );
+    }
+    where.push("status = ?");
+    params.push(status);
+  }
+
+  return {
+    sql: `
+      SELECT id, name, image_path, original_filename, status, created_at
+      FROM users
+      WHERE ${where.join(" AND ")}
+      ORDER BY created_at ASC, id ASC
+    `,
+    params,
+  };
+}
+
+// Safe, readable file name inside the archive
+function archiveName(row) {
+  const slug = row.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  const ext = path.extname(row.image_path) || ".jpg";
+  return `images/${row.id}${slug ? `-${slug}` : ""}${ext}`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Stop spreadsheets from treating attendee input as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries, fields = MANIFEST_FIELDS) {
+  const lines = [fields.join(",")];
+  for (const entry of entries) {
+    lines.push(fields.map((field) => csvValue(entry[field])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// Stream the archive for `rows` into `output`. Images that can't be read
+// are listed in the manifest with an error instead of failing the export.
+async function writeGalleryExport({ rows, storage, output }) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    archive.on("error", reject);
+  });
+
+  archive.on("warning", (err) => {
+    console.error("Export warning:", err.message);
+  });
+  archive.pipe(output);
+
+  const manifest = [];
+
+  for (const row of rows) {
+    const entry = {
+      id: row.id,
+      name: row.name,
+      created_at: row.created_at,
+      original_filename: row.original_filename || null,
+      status: row.status,
+      file: archiveName(row),
+    };
+
+    try {
+      const body = await storage.get(row.image_path);
+      // Wait for each entry so only one image is held in memory at a time
+      await new Promise((resolve) => {
+        archive.once("entry", resolve);
+        archive.append(body, { name: entry.file });
+      });
+    } catch (error) {
+      console.error(`Export: could not read ${row.image_path}:`, error.message);
+      entry.file = null;
+      entry.error = "Image could not be read";
+    }
+
+    manifest.push(entry);
+  }
+
+  archive.append(toCsv(manifest), { name: "manifest.csv" });
+  const manifestJson = {
+    exported_at: new Date().toISOString(),
+    count: manifest.length,
+    items: manifest,
+  };
+  archive.append(JSON.stringify(manifestJson, null, 2), {
+    name: "manifest.json",
+  });
+
+  await archive.finalize();
+  await finished;
+
+  return manifest;
+}
+
+module.exports = {
+  EXPORT_STATUSES,
+  buildExportQuery,
+  writeGalleryExport,
+  toCsv,
+};
@@ -0,0 +1,44 @@
+// Vote anti-fraud helpers. Velocity limits are sliding windows kept in
+// memory - they only need to hold for a minute or so, and a restart simply
+// gives everyone a fresh window.
+
+function createRateLimiter() {
+  const hits = new Map();
+  let lastSweep = 0;
+
+  // Drop keys whose hits have all expired
+  function sweep(now, windowMs) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= now - windowMs) hits.delete(key);
+    }
+  }
+
+  return {
+    // Record a hit for `key` unless it already has `limit` hits in the last
+    // `windowMs`. Returns { allowed, retryAfter } (seconds until the oldest
+    // hit expires). A limit of 0 turns the check off.
+    hit(key, limit, windowMs, now = Date.now()) {
+      sweep(now, windowMs);
+      if (!limit) return { allowed: true, retryAfter: 0 };
+
+      const times = (hits.get(key) || []).filter((t) => t > now - windowMs);
+      if (times.length >= limit) {
+        hits.set(key, times);
+        return {
+          allowed: false,
+          retryAfter: Math.max(1, Math.ceil((times[0] + windowMs - now) / 1000)),
+        };
+      }
+
+      times.push(now);
+      hits.set(key, times);
+      return { allowed: true, retryAfter: 0 };
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
@@ -0,0 +1,129 @@
+const sharp = require("sharp");
+
+// Largest image we accept before any processing
+const MAX_WIDTH = 4000;
+const MAX_HEIGHT = 4000;
+
+// Responsive sizes generated for every upload (bounding box in px).
+// Images are never enlarged, so a small upload keeps its own size.
+const VARIANT_SIZES = {
+  thumbnail: 200,
+  medium: 600,
+  original: 2000,
+};
+
+// Output formats generated for every size
+const VARIANT_FORMATS = {
+  jpeg: {
+    ext: ".jpg",
+    contentType: "image/jpeg",
+    options: { quality: 85, mozjpeg: true },
+  },
+  webp: {
+    ext: ".webp",
+    contentType: "image/webp",
+    options: { quality: 80 },
+  },
+  avif: {
+    ext: ".avif",
+    contentType: "image/avif",
+    options: { quality: 50 },
+  },
+};
+
+// Re-encode an upload into every size/format combination.
+// Returns a flat list of { size, format, ext, contentType, buffer }.
+// sharp drops EXIF (GPS, camera serials, ...) and other metadata from its
+// output unless asked to keep it, so none of the variants carry any.
+async function processImage(input) {
+  // rotate() with no arguments applies the EXIF orientation
+  const source = sharp(input).rotate();
+  const variants = [];
+
+  for (const [size, box] of Object.entries(VARIANT_SIZES)) {
+    for (const [format, spec] of Object.entries(VARIANT_FORMATS)) {
+      let pipeline = source.clone().resize({
+        width: box,
+        height: box,
+        fit: "inside",
+        withoutEnlargement: true,
+      });
+
+      // JPEG has no alpha channel - put transparent PNGs on white
+      if (format === "jpeg") {
+        pipeline = pipeline.flatten({ background: "#ffffff" });
+      }
+
+      const buffer = await pipeline.toFormat(format, spec.options).toBuffer();
+
+      variants.push({
+        size,
+        format,
+        ext: spec.ext,
+        contentType: spec.contentType,
+        buffer,
+      });
+    }
+  }
+
+  return variants;
+}
+
+// Storage key for a variant, e.g. images/<id>.jpg or images/<id>-thumbnail.webp
+function variantKey(baseName, variant) {
+  const suffix = variant.size === "original" ? "" : `-${variant.size}`;
+  return `images/${baseName}${suffix}${variant.ext}`;
+}
+
+// Turn the stored image_variants JSON into the public { size: { format: url } } map
+function variantUrls(variantsJson) {
+  if (!variantsJson) return null;
+
+  let stored;
+  try {
+    stored = JSON.parse(variantsJson);
+  } catch (e) {
+    return null;
+  }
+
+  const urls = {};
+  for (const [size, formats] of Object.entries(stored)) {
+    urls[size] = {};
+    for (const [format, entry] of Object.entries(formats)) {
+      urls[size][format] = entry.url;
+    }
+  }
+  return urls;
+}
+
+// All stored paths for a users row (original + every variant)
+function storedImagePaths(row) {
+  const paths = new Set();
+  if (row.image_path) paths.add(row.image_path);
+
+  if (row.image_variants) {
+    try {
+      const variants = JSON.parse(row.image_variants);
+      for (const formats of Object.values(variants)) {
+        for (const entry of Object.values(formats)) {
+          paths.add(entry.path);
+        }
+      }
+    } catch (e) {
+      console.error("Invalid image_variants JSON:", e.message);
+    }
+  }
+
+  return [...paths];
+}
+
+module.exports = {
+  MAX_WIDTH,
+  MAX_HEIGHT,
+  VARIANT_SIZES,
+  VARIANT_FORMATS,
+  processImage,
+  variantKey,
+  variantUrls,
+  storedImagePaths,
+};
@@ -0,0 +1,38 @@
+// Keyset (cursor) pagination helpers. A cursor encodes the sort value and id
+// of the last row a client has seen, so pages stay stable while new rows arrive.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function parseLimit(value, fallback = DEFAULT_LIMIT) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+// Returns { value, id } or null for a missing/garbled cursor
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (value === undefined || id === undefined) return null;
+    return { value, id };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,59 @@
+// Phone numbers are stored in E.164 ("+15551234567") so the same phone can't
+// turn up as "+1 (555) 123-4567" and "5551234567" and vote twice.
+
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// E.164 form of `raw`, or null if it isn't a phone number. Numbers without a
+// country code ("555-123-4567", "020 7946 0958") get `defaultCountryCode`,
+// dropping a national trunk "0"; "00" works as an international prefix.
+function normalizePhone(raw, defaultCountryCode = "1") {
+  let text = String(raw || "")
+    .trim()
+    .replace(/^(?:tel|sms|whatsapp):/i, "")
+    .replace(/[\s().-]/g, "");
+
+  if (text.startsWith("00")) text = `+${text.slice(2)}`;
+
+  let e164;
+  if (text.startsWith("+")) {
+    e164 = text;
+  } else if (!/^\d+$/.test(text)) {
+    return null;
+  } else if (defaultCountryCode === "1") {
+    // North America: 10 digits, or 11 with the leading 1
+    if (text.length === 11 && text.startsWith("1")) text = text.slice(1);
+    if (!/^[2-9]\d{9}$/.test(text)) return null;
+    e164 = `+1${text}`;
+  } else {
+    e164 = `+${defaultCountryCode}${text.replace(/^0/, "")}`;
+  }
+
+  return E164_PATTERN.test(e164) ? e164 : null;
+}
+
+// Gateways such as Vonage and Plivo send international numbers without the
+// "+" ("447700900123"); add it so they aren't read as local numbers
+function internationalNumber(raw) {
+  const text = String(raw || "").trim();
+  return /^[1-9]\d{6,14}$/.test(text) ? `+${text}` : text;
+}
+
+// Leading `digits` digits of an E.164 number (country code included), used to
+// spot many numbers from the same range
+function phonePrefix(phone, digits) {
+  return phone.slice(0, digits + 1);
+}
+
+// Blocklist prefix: "+" and 1-14 digits, spacing ignored. Returns null if
+// invalid.
+function normalizePrefix(raw) {
+  const text = String(raw || "").replace(/[\s().-]/g, "");
+  return /^\+[1-9]\d{0,13}$/.test(text) ? text : null;
+}
+
+module.exports = {
+  normalizePhone,
+  internationalNumber,
+  normalizePrefix,
+  phonePrefix,
+};
@@ -0,0 +1,167 @@
+const { tallyRound } = require("./tally");
+const { toCsv } = require("./export");
+
+// Voting reports: per-round results with percentages, turnout and a vote
+// histogram, and event totals across rounds. Phone numbers
+// are only used for counting unique voters and never leave this module.
+
+const ROUND_CSV_FIELDS = [
+  "round",
+  "status",
+  "mode",
+  "ended_at",
+  "key",
+  "label",
+  "count",
+  "percentage",
+  "winner",
+  "total_votes",
+  "turnout",
+];
+
+const percentage = (count, total) =>
+  total === 0 ? 0 : Math.round((count / total) * 1000) / 10;
+
+const minCreatedAt = (votes) =>
+  votes.reduce((min, v) => (v.created_at < min ? v.created_at : min), votes[0].created_at);
+const maxCreatedAt = (votes) =>
+  votes.reduce((max, v) => (v.created_at > max ? v.created_at : max), votes[0].created_at);
+
+// Histogram bucket sizes in minutes, finest first. A histogram uses the
+// finest one that keeps it within MAX_HISTOGRAM_BUCKETS, so a report over
+// weeks of archived rounds stays small.
+const HISTOGRAM_INTERVALS = [1, 5, 15, 30, 60, 180, 360, 720, 1440, 10080];
+const MAX_HISTOGRAM_BUCKETS = 240;
+const MINUTE_MS = 60000;
+
+const bucketStart = (time, intervalMs) => Math.floor(time / intervalMs) * intervalMs;
+
+// Bucket size (minutes) for a histogram of `votes`
+function histogramInterval(votes) {
+  if (votes.length === 0) return HISTOGRAM_INTERVALS[0];
+
+  const first = Date.parse(minCreatedAt(votes));
+  const last = Date.parse(maxCreatedAt(votes));
+  const fits = (minutes) => {
+    const intervalMs = minutes * MINUTE_MS;
+    const span = bucketStart(last, intervalMs) - bucketStart(first, intervalMs);
+    return span / intervalMs + 1 <= MAX_HISTOGRAM_BUCKETS;
+  };
+  return (
+    HISTOGRAM_INTERVALS.find(fits) ||
+    HISTOGRAM_INTERVALS[HISTOGRAM_INTERVALS.length - 1]
+  );
+}
+
+// Votes per `intervalMinutes` from the first vote to the last, with empty
+// buckets as 0. `minute` is when each bucket starts. Past the largest
+// interval, only buckets with votes are listed.
+function voteHistogram(votes, intervalMinutes = histogramInterval(votes)) {
+  if (votes.length === 0) return [];
+
+  const intervalMs = intervalMinutes * MINUTE_MS;
+  const buckets = new Map();
+  for (const vote of votes) {
+    const start = bucketStart(Date.parse(vote.created_at), intervalMs);
+    buckets.set(start, (buckets.get(start) || 0) + 1);
+  }
+
+  const starts = [...buckets.keys()].sort((a, b) => a - b);
+  const first = starts[0];
+  const last = starts[starts.length - 1];
+  const count = (last - first) / intervalMs + 1;
+  const times =
+    count <= MAX_HISTOGRAM_BUCKETS
+      ? Array.from({ length: count }, (_, i) => first + i * intervalMs)
+      : starts;
+
+  return times.map((time) => ({
+    minute: `${new Date(time).toISOString().slice(0, 16)}:00Z`,
+    votes: buckets.get(time) || 0,
+  }));
+}
+
+// Report for one round. `status` is "archived" or "live".
+function buildRoundReport({ round, status, ballot, votes, mode, endedAt = null }) {
+  const result = tallyRound(ballot, votes, mode);
+  const turnout = new Set(votes.map((vote) => vote.phone_number)).size;
+  const winners = new Set(result.winners);
+
+  return {
+    round,
+    status,
+    mode,
+    ended_at: endedAt,
+    total_votes: result.total_votes,
+    turnout,
+    options: result.tallies.map((tally) => ({
+      ...tally,
+      percentage: percentage(tally.count, result.total_votes),
+      winner: winners.has(tally.key),
+    })),
+    winners: result.winners,
+    ...(result.runoff && { runoff: result.runoff }),
+    first_vote_at: votes.length > 0 ? minCreatedAt(votes) : null,
+    last_vote_at: votes.length > 0 ? maxCreatedAt(votes) : null,
+    ...histogramFields(votes),
+  };
+}
+
+function histogramFields(votes) {
+  const interval = histogramInterval(votes);
+  return {
+    histogram_interval_minutes: interval,
+    histogram: voteHistogram(votes, interval),
+  };
+}
+
+// Report across rounds: `rounds` are { report, votes } pairs
+function buildEventReport(rounds) {
+  const allVotes = rounds.flatMap((entry) => entry.votes);
+  const voters = new Set(allVotes.map((vote) => vote.phone_number));
+  const reports = rounds.map((entry) => entry.report);
+
+  return {
+    rounds_count: reports.length,
+    total_votes: allVotes.length,
+    unique_voters: voters.size,
+    average_turnout:
+      reports.length === 0
+        ? 0
+        : Math.round(
+            (reports.reduce((sum, r) => sum + r.turnout, 0) / reports.length) * 10
+          ) / 10,
+    first_vote_at: allVotes.length > 0 ? minCreatedAt(allVotes) : null,
+    last_vote_at: allVotes.length > 0 ? maxCreatedAt(allVotes) : null,
+    ...histogramFields(allVotes),
+    rounds: reports,
+  };
+}
+
+// One CSV row per round and option
+function reportToCsv(reports) {
+  const rows = reports.flatMap((report) =>
+    report.options.map((option) => ({
+      round: report.round,
+      status: report.status,
+      mode: report.mode,
+      ended_at: report.ended_at,
+      key: option.key,
+      label: option.label,
+      count: option.count,
+      percentage: option.percentage,
+      winner: option.winner ? "yes" : "",
+      total_votes: report.total_votes,
+      turnout: report.turnout,
+    }))
+  );
+  return toCsv(rows, ROUND_CSV_FIELDS);
+}
+
+module.exports = {
+  histogramInterval,
+  voteHistogram,
+  buildRoundReport,
+  buildEventReport,
+  reportToCsv,
+};
@@ -0,0 +1,155 @@
+// Per-round voting settings. Like ballots, a round without settings of its
+// own uses the latest earlier round's, falling back to the defaults below.
+
+// What happens to votes texted in while a round isn't running, once it
+// starts: promote them into the round, discard them, or hold them for review
+const PENDING_POLICIES = ["promote", "discard", "review"];
+
+// A second vote from the same phone in a round: first_wins rejects it,
+// last_wins replaces the earlier vote, limited replaces it up to
+// max_changes times
+const CHANGE_MODES = ["first_wins", "last_wins", "limited"];
+
+// How votes are cast and tallied (see lib/tally.js). max_selections caps the
+// options per approval/ranked vote (null: the whole ballot).
+const VOTING_MODES = ["single", "approval", "ranked"];
+
+const DEFAULT_ROUND_SETTINGS = {
+  pending_policy: "discard",
+  change_mode: "first_wins",
+  max_changes: 1,
+  mode: "single",
+  max_selections: null,
+};
+
+// Check a partial settings update. Returns { valid: true, settings } with
+// only the recognised fields, or { valid: false, error }.
+function validateRoundSettings(body) {
+  const settings = {};
+
+  if (body.pending_policy !== undefined) {
+    if (!PENDING_POLICIES.includes(body.pending_policy)) {
+      return {
+        valid: false,
+        error: `pending_policy must be one of: ${PENDING_POLICIES.join(", ")}`,
+      };
+    }
+    settings.pending_policy = body.pending_policy;
+  }
+
+  if (body.change_mode !== undefined) {
+    if (!CHANGE_MODES.includes(body.change_mode)) {
+      return {
+        valid: false,
+        error: `change_mode must be one of: ${CHANGE_MODES.join(", ")}`,
+      };
+    }
+    settings.change_mode = body.change_mode;
+  }
+
+  if (body.max_changes !== undefined) {
+    const maxChanges = Number(body.max_changes);
+    if (!Number.isInteger(maxChanges) || maxChanges < 1) {
+      return { valid: false, error: "max_changes must be a positive integer" };
+    }
+    settings.max_changes = maxChanges;
+  }
+
+  if (body.mode !== undefined) {
+    if (!VOTING_MODES.includes(body.mode)) {
+      return {
+        valid: false,
+        error: `mode must be one of: ${VOTING_MODES.join(", ")}`,
+      };
+    }
+    settings.mode = body.mode;
+  }
+
+  if (body.max_selections !== undefined) {
+    const maxSelections =
+      body.max_selections === null ? null : Number(body.max_selections);
+    if (
+      maxSelections !== null &&
+      (!Number.isInteger(maxSelections) || maxSelections < 1)
+    ) {
+      return {
+        valid: false,
+        error: "max_selections must be a positive integer or null",
+      };
+    }
+    settings.max_selections = maxSelections;
+  }
+
+  if (Object.keys(settings).length === 0) {
+    return { valid: false, error: "No settings to update" };
+  }
+
+  return { valid: true, settings };
+}
+
+// Longest a single round can be scheduled to run
+const MAX_ROUND_DURATION_MS = 24 * 60 * 60 * 1000;
+
+function parseTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Read a round schedule from a request body: opens_at (optional, ISO) and
+// either closes_at (ISO) or duration_seconds counted from the opening.
+// Returns { valid: true, opensAt, closesAt } as ISO strings (null when not
+// set), or { valid: false, error }.
+function parseSchedule(body, now = Date.now()) {
+  const { opens_at, closes_at, duration_seconds } = body;
+
+  let opensAt = null;
+  if (opens_at !== undefined && opens_at !== null) {
+    opensAt = parseTime(opens_at);
+    if (opensAt === null || opensAt <= now) {
+      return { valid: false, error: "opens_at must be a date in the future" };
+    }
+  }
+
+  let closesAt = null;
+  if (closes_at !== undefined && closes_at !== null) {
+    closesAt = parseTime(closes_at);
+    if (closesAt === null) {
+      return { valid: false, error: "closes_at must be a date" };
+    }
+  } else if (duration_seconds !== undefined && duration_seconds !== null) {
+    const duration = Number(duration_seconds);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      return { valid: false, error: "duration_seconds must be a positive number" };
+    }
+    closesAt = (opensAt || now) + duration * 1000;
+  }
+
+  if (closesAt !== null) {
+    const start = opensAt || now;
+    if (closesAt <= start) {
+      return { valid: false, error: "closes_at must be after the round opens" };
+    }
+    if (closesAt - start > MAX_ROUND_DURATION_MS) {
+      return { valid: false, error: "A round can run for at most 24 hours" };
+    }
+  }
+
+  const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+  return { valid: true, opensAt: toIso(opensAt), closesAt: toIso(closesAt) };
+}
+
+// Seconds left before a running round closes (null without a deadline)
+function remainingSeconds(config, now = Date.now()) {
+  if (config?.status !== "running" || !config.closes_at) return null;
+  return Math.max(0, Math.ceil((Date.parse(config.closes_at) - now) / 1000));
+}
+
+module.exports = {
+  PENDING_POLICIES,
+  CHANGE_MODES,
+  VOTING_MODES,
+  DEFAULT_ROUND_SETTINGS,
+  validateRoundSettings,
+  parseSchedule,
+  remainingSeconds,
+};
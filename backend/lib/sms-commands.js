@@ -0,0 +1,90 @@
+// SMS keyword commands. A message that is exactly one of these words (any
+// case) is a command rather than a vote or a pledge. STOP/START follow the
+// carrier opt-out keywords.
+
+const BUILTIN_COMMANDS = {
+  help: ["HELP", "INFO"],
+  stop: ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"],
+  start: ["START", "UNSTOP", "YES"],
+  status: ["STATUS"],
+  undo: ["UNDO"],
+};
+
+const BUILTIN_KEYWORDS = Object.values(BUILTIN_COMMANDS).flat();
+
+const KEYWORD_PATTERN = /^[A-Z][A-Z0-9]{1,19}$/;
+const MAX_REPLY_LENGTH = 640;
+
+// Canonical form of an incoming message or keyword
+function normalizeKeyword(text) {
+  return String(text || "")
+    .trim()
+    .replace(/[.!?]+$/, "")
+    .toUpperCase();
+}
+
+// The built-in command a message is, or null
+function matchCommand(text) {
+  const keyword = normalizeKeyword(text);
+  const match = Object.entries(BUILTIN_COMMANDS).find(([, keywords]) =>
+    keywords.includes(keyword)
+  );
+  return match ? match[0] : null;
+}
+
+// Check an admin-defined keyword and its reply. Returns { valid: true,
+// keyword, reply } or { valid: false, error }.
+function validateKeyword(keyword, reply) {
+  const normalized = normalizeKeyword(keyword);
+  if (!KEYWORD_PATTERN.test(normalized)) {
+    return {
+      valid: false,
+      error: "A keyword is 2-20 letters or digits, starting with a letter",
+    };
+  }
+  if (BUILTIN_KEYWORDS.includes(normalized)) {
+    return { valid: false, error: `${normalized} is a built-in command` };
+  }
+
+  const text = String(reply ?? "").trim();
+  if (!text || text.length > MAX_REPLY_LENGTH) {
+    return {
+      valid: false,
+      error: `reply must be 1-${MAX_REPLY_LENGTH} characters`,
+    };
+  }
+
+  return { valid: true, keyword: normalized, reply: text };
+}
+
+// A pledge: a message that starts with a whole-dollar amount ("25", "$25 for
+// the band", "$1,000"). What follows the amount is its dedication. Null
+// without a positive amount up front - "see you at 7" isn't a pledge. An
+// amount with cents ("25.50") isn't taken: it comes back as { fractional }
+// holding the amount as sent, so the sender can be asked for whole dollars.
+function parsePledge(text) {
+  const message = String(text || "").trim();
+  const amountMatch = message.match(/^\$?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?\b/);
+  if (!amountMatch) return null;
+
+  const [matched, whole, cents] = amountMatch;
+  const amount = parseInt(whole.replace(/,/g, ""), 10);
+  if (amount <= 0) return null;
+  if (cents && Number(cents) > 0) {
+    return { fractional: matched.replace(/^\$/, "") };
+  }
+
+  return {
+    amount,
+    dedication: message.slice(matched.length).replace(/^[\s.,:;!-]+/, ""),
+  };
+}
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  BUILTIN_KEYWORDS,
+  normalizeKeyword,
+  matchCommand,
+  validateKeyword,
+  parsePledge,
+};
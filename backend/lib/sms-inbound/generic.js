@@ -0,0 +1,27 @@
+// Any other gateway, or a relay in front of one: JSON (or form fields)
+// { from, text, to?, id? } - `body` works in place of `text` - answered with
+// { reply } (null when there's nothing to send)
+function createGenericAdapter() {
+  return {
+    name: "generic",
+
+    parse(params) {
+      const text = params.text ?? params.body;
+      if (!params.from || typeof params.from !== "string" || !text) return null;
+      return {
+        from: params.from,
+        to: params.to || null,
+        text: String(text),
+        id: params.id || null,
+      };
+    },
+
+    formatReply(text) {
+      return { type: "application/json", body: JSON.stringify({ reply: text || null }) };
+    },
+  };
+}
+
+module.exports = {
+  createGenericAdapter,
+};
@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const { createTwilioAdapter } = require("./twilio");
+const { createVonageAdapter } = require("./vonage");
+const { createPlivoAdapter } = require("./plivo");
+const { createGenericAdapter } = require("./generic");
+const { createVonageProvider } = require("../sms-providers");
+
+// Inbound SMS gateways. Every adapter implements the same interface:
+//   parse(params)               -> { from, to, text, id } or null
+//   formatReply(text, message)  -> { type, body } answering the gateway
+//   sendReply(text, message)    -> only gateways that can't answer inline
+// where params are the webhook's query and body fields together.
+const ADAPTERS = ["twilio", "vonage", "plivo", "generic"];
+const ALIASES = { nexmo: "vonage" };
+
+// Adapter name for a webhook path segment, or null
+function adapterName(name) {
+  const resolved = ALIASES[name] || name;
+  return ADAPTERS.includes(resolved) ? resolved : null;
+}
+
+// Throws if the gateway isn't set up: Vonage needs API credentials to reply
+function createInboundAdapter(name, env = process.env) {
+  switch (adapterName(name)) {
+    case "twilio":
+      return createTwilioAdapter();
+    case "vonage":
+      return createVonageAdapter({
+        provider: createVonageProvider({
+          apiKey: env.VONAGE_API_KEY,
+          apiSecret: env.VONAGE_API_SECRET,
+          from: env.VONAGE_FROM_NUMBER,
+        }),
+      });
+    case "plivo":
+      return createPlivoAdapter();
+    case "generic":
+      return createGenericAdapter();
+    default:
+      throw new Error(
+        `Unknown SMS gateway "${name}" (expected one of: ${ADAPTERS.join(", ")})`
+      );
+  }
+}
+
+// Gateways other than Twilio prove themselves with a shared secret
+// (SMS_WEBHOOK_TOKEN) sent along with each webhook
+function validateWebhookToken(expected, actual) {
+  if (!expected || !actual) return false;
+
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  ADAPTERS,
+  adapterName,
+  createInboundAdapter,
+  validateWebhookToken,
+};
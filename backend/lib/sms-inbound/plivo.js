@@ -0,0 +1,40 @@
+const { internationalNumber } = require("../phone");
+const { escapeXml } = require("../sms-replies");
+
+// Plivo: form fields From, To, Text and MessageUUID; answered with Plivo XML,
+// which names the sending number (our number, the message's To) itself
+// https://www.plivo.com/docs/messaging/xml/message
+const escapeAttribute = (text) => escapeXml(text).replace(/"/g, "&quot;");
+
+function createPlivoAdapter() {
+  return {
+    name: "plivo",
+
+    parse(params) {
+      if (!params.From || !params.Text) return null;
+      return {
+        from: internationalNumber(params.From),
+        to: params.To ? internationalNumber(params.To) : null,
+        text: String(params.Text),
+        id: params.MessageUUID || null,
+      };
+    },
+
+    formatReply(text, message) {
+      const reply =
+        text && message?.to
+          ? `<Message src="${escapeAttribute(message.to)}" dst="${escapeAttribute(
+              message.from
+            )}">${escapeXml(text)}</Message>`
+          : "";
+      return {
+        type: "text/xml",
+        body: `<?xml version="1.0" encoding="UTF-8"?><Response>${reply}</Response>`,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createPlivoAdapter,
+};
@@ -0,0 +1,27 @@
+const { twiml } = require("../sms-replies");
+
+// Twilio: form fields From, To, Body and MessageSid; answered with TwiML
+// https://www.twilio.com/docs/messaging/guides/webhook-request
+function createTwilioAdapter() {
+  return {
+    name: "twilio",
+
+    parse(params) {
+      if (!params.From || !params.Body) return null;
+      return {
+        from: params.From,
+        to: params.To || null,
+        text: String(params.Body),
+        id: params.MessageSid || null,
+      };
+    },
+
+    formatReply(text) {
+      return { type: "text/xml", body: twiml(text) };
+    },
+  };
+}
+
+module.exports = {
+  createTwilioAdapter,
+};
@@ -0,0 +1,37 @@
+const { internationalNumber } = require("../phone");
+
+// Vonage (formerly Nexmo): the SMS API sends msisdn, to, text and messageId
+// (as a GET by default); the Messages API posts JSON with from, to, text and
+// message_uuid. Vonage only wants a 200 back - there's no inline reply, so
+// replies go out through `provider` (a Vonage SMS provider) from the number
+// that was texted.
+// https://developer.vonage.com/en/messaging/sms/guides/inbound-sms
+function createVonageAdapter({ provider }) {
+  return {
+    name: "vonage",
+
+    parse(params) {
+      const from = params.msisdn || params.from?.number || params.from;
+      const text = params.text;
+      if (!from || typeof from !== "string" || !text) return null;
+      return {
+        from: internationalNumber(from),
+        to: params.to ? internationalNumber(params.to?.number || params.to) : null,
+        text: String(text),
+        id: params.messageId || params.message_uuid || null,
+      };
+    },
+
+    formatReply() {
+      return { type: null, body: "" };
+    },
+
+    sendReply(text, message) {
+      return provider.send({ to: message.from, from: message.to || undefined, body: text });
+    },
+  };
+}
+
+module.exports = {
+  createVonageAdapter,
+};
@@ -0,0 +1,36 @@
+// Provider that sends nothing: messages are recorded in `sent` and reported
+// delivered, except to numbers in `failNumbers`, which fail. For local
+// development and tests.
+function createFakeProvider({ failNumbers = [] } = {}) {
+  const sent = [];
+  let nextId = 1;
+
+  return {
+    name: "fake",
+    sent,
+
+    async send({ to, body }) {
+      if (failNumbers.includes(to)) {
+        throw new Error(`Fake delivery failure for ${to}`);
+      }
+
+      const message = {
+        id: `FAKE${String(nextId++).padStart(6, "0")}`,
+        to,
+        body,
+        sent_at: new Date().toISOString(),
+      };
+      sent.push(message);
+      return { id: message.id, status: "delivered" };
+    },
+
+    // Nothing calls back - every message is final when sent
+    parseStatusCallback() {
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+};
@@ -0,0 +1,52 @@
+const { createFakeProvider } = require("./fake");
+const { createTwilioProvider } = require("./twilio");
+const { createVonageProvider } = require("./vonage");
+
+// Outbound SMS providers. Every provider implements the same interface:
+//   send({ to, body, statusCallback, from? }) -> { id, status }
+//   parseStatusCallback(body)                 -> { id, status, error } or null
+// where status is one of "sent", "delivered", "undelivered" or "failed", and
+// `from` overrides the configured sending number.
+const PROVIDERS = ["fake", "twilio", "vonage"];
+
+// Provider selected by SMS_PROVIDER - Twilio when only its credentials are
+// set, otherwise none. The fake one is never picked unless asked for.
+function defaultProvider(env = process.env) {
+  if (env.SMS_PROVIDER) return env.SMS_PROVIDER;
+  return env.TWILIO_ACCOUNT_SID ? "twilio" : null;
+}
+
+function createSmsProvider(name = defaultProvider(), env = process.env) {
+  switch (name) {
+    case "fake":
+      return createFakeProvider({
+        failNumbers: (env.SMS_FAKE_FAIL_NUMBERS || "").split(",").filter(Boolean),
+      });
+    case "twilio":
+      return createTwilioProvider({
+        accountSid: env.TWILIO_ACCOUNT_SID,
+        authToken: env.TWILIO_AUTH_TOKEN,
+        from: env.TWILIO_FROM_NUMBER,
+        messagingServiceSid: env.TWILIO_MESSAGING_SERVICE_SID,
+      });
+    case "vonage":
+      return createVonageProvider({
+        apiKey: env.VONAGE_API_KEY,
+        apiSecret: env.VONAGE_API_SECRET,
+        from: env.VONAGE_FROM_NUMBER,
+      });
+    default:
+      throw new Error(
+        `Unknown SMS provider "${name}" (expected one of: ${PROVIDERS.join(", ")})`
+      );
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  defaultProvider,
+  createSmsProvider,
+  createFakeProvider,
+  createTwilioProvider,
+  createVonageProvider,
+};
@@ -0,0 +1,83 @@
+// Twilio Programmable Messaging over its REST API (no SDK needed). Either a
+// `from` number or a Messaging Service must be configured.
+// https://www.twilio.com/docs/messaging/api/message-resource
+
+const API_BASE = "https://api.twilio.com/2010-04-01";
+
+// Twilio message statuses in our terms
+const STATUS_MAP = {
+  accepted: "sent",
+  scheduled: "sent",
+  queued: "sent",
+  sending: "sent",
+  sent: "sent",
+  delivered: "delivered",
+  read: "delivered",
+  undelivered: "undelivered",
+  failed: "failed",
+  canceled: "failed",
+};
+
+function createTwilioProvider({
+  accountSid,
+  authToken,
+  from,
+  messagingServiceSid,
+  fetchImpl = fetch,
+}) {
+  if (!accountSid || !authToken || (!from && !messagingServiceSid)) {
+    throw new Error(
+      "Twilio SMS needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER (or TWILIO_MESSAGING_SERVICE_SID)"
+    );
+  }
+
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}`;
+
+  return {
+    name: "twilio",
+
+    async send({ to, body, statusCallback, from: sender }) {
+      const params = new URLSearchParams({ To: to, Body: body });
+      if (sender) params.set("From", sender);
+      else if (messagingServiceSid) params.set("MessagingServiceSid", messagingServiceSid);
+      else params.set("From", from);
+      if (statusCallback) params.set("StatusCallback", statusCallback);
+
+      const response = await fetchImpl(
+        `${API_BASE}/Accounts/${accountSid}/Messages.json`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: authorization,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+          body: params.toString(),
+        }
+      );
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(
+          `Twilio ${response.status}: ${data.message || "request failed"}${
+            data.code ? ` (${data.code})` : ""
+          }`
+        );
+      }
+      return { id: data.sid, status: STATUS_MAP[data.status] || "sent" };
+    },
+
+    // StatusCallback POST: MessageSid, MessageStatus, ErrorCode
+    parseStatusCallback(body) {
+      if (!body?.MessageSid || !body.MessageStatus) return null;
+      return {
+        id: body.MessageSid,
+        status: STATUS_MAP[body.MessageStatus] || "sent",
+        error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createTwilioProvider,
+};
@@ -0,0 +1,74 @@
+// Vonage (formerly Nexmo) SMS API over REST (no SDK needed). Numbers go
+// without the "+". `from` can be set per message, so a reply can come from
+// the number that was texted.
+// https://developer.vonage.com/en/api/sms
+
+const API_URL = "https://rest.nexmo.com/sms/json";
+
+// Delivery receipt statuses in our terms
+const STATUS_MAP = {
+  accepted: "sent",
+  buffered: "sent",
+  delivered: "delivered",
+  expired: "undelivered",
+  failed: "failed",
+  rejected: "failed",
+  unknown: "sent",
+};
+
+const withoutPlus = (number) => String(number || "").replace(/^\+/, "");
+
+function createVonageProvider({ apiKey, apiSecret, from, fetchImpl = fetch }) {
+  if (!apiKey || !apiSecret) {
+    throw new Error("Vonage SMS needs VONAGE_API_KEY and VONAGE_API_SECRET");
+  }
+
+  return {
+    name: "vonage",
+
+    async send({ to, body, statusCallback, from: sender = from }) {
+      if (!sender) throw new Error("Vonage SMS needs VONAGE_FROM_NUMBER");
+
+      const params = new URLSearchParams({
+        api_key: apiKey,
+        api_secret: apiSecret,
+        from: withoutPlus(sender),
+        to: withoutPlus(to),
+        text: body,
+      });
+      if (statusCallback) params.set("callback", statusCallback);
+
+      const response = await fetchImpl(API_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: params.toString(),
+      });
+      const data = await response.json().catch(() => ({}));
+      const message = data.messages?.[0];
+
+      if (!response.ok || !message || message.status !== "0") {
+        throw new Error(
+          `Vonage ${response.status}: ${message?.["error-text"] || "request failed"}${
+            message?.status ? ` (${message.status})` : ""
+          }`
+        );
+      }
+      return { id: message["message-id"], status: "sent" };
+    },
+
+    // Delivery receipt: messageId, status, err-code
+    parseStatusCallback(body) {
+      if (!body?.messageId || !body.status) return null;
+      const errorCode = body["err-code"];
+      return {
+        id: body.messageId,
+        status: STATUS_MAP[body.status] || "sent",
+        error: errorCode && errorCode !== "0" ? `Vonage error ${errorCode}` : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createVonageProvider,
+};
@@ -0,0 +1,184 @@
+// SMS auto-reply templates, per language, and safe TwiML output. Templates
+// use {placeholders}; admins can override any template for any language
+// (sms_templates table), falling back to the defaults below and then to
+// English.
+
+const DEFAULT_LANGUAGE = "en";
+
+// Placeholders each template can use
+const TEMPLATE_PLACEHOLDERS = {
+  vote_accepted: ["letter", "round"],
+  vote_changed: ["letter", "previous", "round"],
+  vote_duplicate: ["letter", "round"],
+  vote_changes_used: ["letter", "round"],
+  voting_closed: ["letter", "round"],
+  voting_closed_review: ["letter", "round"],
+  voting_closed_discard: ["letter", "round"],
+  donation_received: ["amount", "total", "event_total"],
+  pledge_not_whole: ["amount"],
+  unrecognized: [],
+};
+
+const TEMPLATE_NAMES = Object.keys(TEMPLATE_PLACEHOLDERS);
+
+const DEFAULT_TEMPLATES = {
+  en: {
+    vote_accepted: "Thanks! Your vote for {letter} counts in round {round}.",
+    vote_changed: "Vote changed to {letter} (was {previous}).",
+    vote_duplicate: "You already voted {letter} - that vote still counts.",
+    vote_changes_used: "You've used all your vote changes - {letter} still counts.",
+    voting_closed: "Voting is closed right now - your vote for {letter} is saved for round {round}.",
+    voting_closed_review: "Voting is closed right now - your vote for {letter} will be reviewed when round {round} opens.",
+    voting_closed_discard: "Voting is closed right now - text {letter} again once round {round} opens.",
+    donation_received: "Thank you for your ${amount} pledge! You've pledged ${total} in all.",
+    pledge_not_whole: "Pledges are in whole dollars - {amount} wasn't saved. Text a whole amount, like 25.",
+    unrecognized: "Sorry, we didn't get that. Text HELP for options.",
+  },
+  es: {
+    vote_accepted: "¡Gracias! Tu voto por {letter} cuenta en la ronda {round}.",
+    vote_changed: "Voto cambiado a {letter} (antes {previous}).",
+    vote_duplicate: "Ya votaste {letter} - ese voto sigue contando.",
+    vote_changes_used: "Ya usaste todos tus cambios de voto - {letter} sigue contando.",
+    voting_closed: "La votación está cerrada - tu voto por {letter} queda guardado para la ronda {round}.",
+    voting_closed_review: "La votación está cerrada - tu voto por {letter} se revisará cuando abra la ronda {round}.",
+    voting_closed_discard: "La votación está cerrada - envía {letter} de nuevo cuando abra la ronda {round}.",
+    donation_received: "¡Gracias por tu promesa de ${amount}! Llevas ${total} en total.",
+    pledge_not_whole: "Las promesas son en dólares enteros - {amount} no se guardó. Envía un monto entero, como 25.",
+    unrecognized: "No entendimos tu mensaje. Envía HELP para ver las opciones.",
+  },
+  fr: {
+    vote_accepted: "Merci ! Votre vote pour {letter} compte dans la manche {round}.",
+    vote_changed: "Vote changé pour {letter} (avant : {previous}).",
+    vote_duplicate: "Vous avez déjà voté {letter} - ce vote compte toujours.",
+    vote_changes_used: "Vous avez utilisé tous vos changements de vote - {letter} compte toujours.",
+    voting_closed: "Le vote est fermé - votre vote pour {letter} est gardé pour la manche {round}.",
+    voting_closed_review: "Le vote est fermé - votre vote pour {letter} sera examiné à l'ouverture de la manche {round}.",
+    voting_closed_discard: "Le vote est fermé - renvoyez {letter} à l'ouverture de la manche {round}.",
+    donation_received: "Merci pour votre promesse de {amount} $ ! Vous avez promis {total} $ au total.",
+    pledge_not_whole: "Les promesses se font en dollars entiers - {amount} n'a pas été enregistré. Envoyez un montant entier, comme 25.",
+    unrecognized: "Désolé, nous n'avons pas compris. Envoyez HELP pour les options.",
+  },
+};
+
+// The voting_closed reply for each pending_policy - only promoted votes are
+// really saved for the round
+const VOTING_CLOSED_TEMPLATES = {
+  promote: "voting_closed",
+  review: "voting_closed_review",
+  discard: "voting_closed_discard",
+};
+
+// Language by country calling code (longest match wins). Countries not
+// listed get the default_sms_language config.
+const COUNTRY_LANGUAGES = {
+  1: "en",
+  44: "en",
+  61: "en",
+  64: "en",
+  353: "en",
+  33: "fr",
+  32: "fr",
+  41: "fr",
+  352: "fr",
+  34: "es",
+  52: "es",
+  54: "es",
+  56: "es",
+  57: "es",
+  51: "es",
+  58: "es",
+  593: "es",
+  502: "es",
+  503: "es",
+  506: "es",
+  55: "pt",
+  351: "pt",
+  49: "de",
+  43: "de",
+  39: "it",
+};
+
+// Language for an E.164 number
+function languageFor(phone, fallback = DEFAULT_LANGUAGE) {
+  const digits = String(phone || "").replace(/^\+/, "");
+  for (let length = 3; length >= 1; length--) {
+    const language = COUNTRY_LANGUAGES[digits.slice(0, length)];
+    if (language) return language;
+  }
+  return fallback;
+}
+
+// Fill in {placeholders}; unknown ones are left as they are
+function renderTemplate(template, values = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined || values[key] === null ? match : String(values[key])
+  );
+}
+
+// Placeholders in `text` that aren't in `allowed`
+function unknownPlaceholders(text, allowed) {
+  return [...String(text).matchAll(/\{(\w+)\}/g)]
+    .map((match) => match[1])
+    .filter((key) => !allowed.includes(key));
+}
+
+// Check an admin-supplied template. Returns { valid: true, name, language,
+// body } or { valid: false, error }.
+function validateTemplate(name, language, body) {
+  if (!TEMPLATE_NAMES.includes(name)) {
+    return {
+      valid: false,
+      error: `Unknown template. Use one of: ${TEMPLATE_NAMES.join(", ")}`,
+    };
+  }
+
+  const lang = String(language || "").toLowerCase();
+  if (!/^[a-z]{2}$/.test(lang)) {
+    return { valid: false, error: "language must be a two-letter code (en, es...)" };
+  }
+
+  const text = String(body ?? "").trim();
+  if (!text || text.length > 640) {
+    return { valid: false, error: "body must be 1-640 characters" };
+  }
+
+  const allowed = TEMPLATE_PLACEHOLDERS[name];
+  const unknown = unknownPlaceholders(text, allowed);
+  if (unknown.length > 0) {
+    return {
+      valid: false,
+      error: `Unknown placeholder(s) ${unknown.map((key) => `{${key}}`).join(", ")}. ${name} can use: ${
+        allowed.map((key) => `{${key}}`).join(", ") || "none"
+      }`,
+    };
+  }
+
+  return { valid: true, name, language: lang, body: text };
+}
+
+// Escaping for XML text content
+const escapeXml = (text) =>
+  String(text).replace(/[<>&]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;" })[c]);
+
+// TwiML answering an SMS with `text` (no reply when empty). Everything sent
+// back to Twilio goes through here - replies can hold admin-written text and
+// quotes of the sender's message.
+function twiml(text) {
+  return text
+    ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(text)}</Message></Response>`
+    : `<?xml version="1.0" encoding="UTF-8"?><Response></Response>`;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  TEMPLATE_NAMES,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  VOTING_CLOSED_TEMPLATES,
+  languageFor,
+  renderTemplate,
+  unknownPlaceholders,
+  validateTemplate,
+  escapeXml,
+  twiml,
+};
@@ -0,0 +1,66 @@
+const path = require("path");
+const { createLocalStorage } = require("./local");
+const { createSpacesStorage } = require("./spaces");
+
+// Every backend implements the same interface:
+//   put(key, body, { contentType, metadata, baseUrl }) -> { path, url }
+//   get(key)        -> Buffer
+//   getUrl(key)     -> public URL
+//   delete(key)
+//   list(prefix)    -> [key]
+const BACKENDS = ["local", "spaces"];
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+};
+
+function contentTypeFor(key) {
+  return (
+    CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream"
+  );
+}
+
+// Backend selected by STORAGE_BACKEND, falling back to the USE_SPACES flag
+function defaultBackend(env = process.env) {
+  if (env.STORAGE_BACKEND) return env.STORAGE_BACKEND;
+  return env.USE_SPACES === "true" ? "spaces" : "local";
+}
+
+function createStorage(name = defaultBackend(), env = process.env) {
+  switch (name) {
+    case "local":
+      return createLocalStorage({
+        root: env.UPLOADS_DIR || path.join(__dirname, "..", "..", "uploads"),
+        baseUrl: env.PUBLIC_URL || `http://localhost:${env.PORT || 3001}`,
+      });
+    case "spaces":
+      return createSpacesStorage({
+        endpoint: env.SPACES_ENDPOINT,
+        bucket: env.SPACES_BUCKET,
+        accessKeyId: env.SPACES_ACCESS_KEY,
+        secretAccessKey: env.SPACES_SECRET_KEY,
+        region: env.SPACES_REGION || "nyc3",
+        forcePathStyle: env.SPACES_FORCE_PATH_STYLE === "true",
+      });
+    default:
+      throw new Error(
+        `Unknown storage backend "${name}" (expected one of: ${BACKENDS.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  contentTypeFor,
+  defaultBackend,
+  createStorage,
+  createLocalStorage,
+  createSpacesStorage,
+};
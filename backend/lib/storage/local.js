@@ -0,0 +1,73 @@
+const path = require("path");
+const fs = require("fs");
+
+// Local disk storage. Files live under `root` and are served by express
+// at /uploads, so a key like images/abc.jpg maps to <baseUrl>/uploads/images/abc.jpg
+function createLocalStorage({ root, baseUrl }) {
+  // Rows written before the storage layer stored absolute file paths
+  const filePath = (key) => (path.isAbsolute(key) ? key : path.join(root, key));
+
+  const toKey = (key) =>
+    path.isAbsolute(key)
+      ? path.relative(root, key).split(path.sep).join("/")
+      : key;
+
+  const getUrl = (key, options = {}) =>
+    `${options.baseUrl || baseUrl}/uploads/${toKey(key)}`;
+
+  return {
+    name: "local",
+    root,
+
+    async put(key, body, options = {}) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, body);
+      return { path: key, url: getUrl(key, options) };
+    },
+
+    async get(key) {
+      return fs.promises.readFile(filePath(key));
+    },
+
+    getUrl,
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (err) {
+        // Already gone is as good as deleted
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    async list(prefix = "") {
+      const keys = [];
+
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === "ENOENT") return;
+          throw err;
+        }
+
+        for (const entry of entries) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(full);
+          } else {
+            const key = toKey(full);
+            if (key.startsWith(prefix)) keys.push(key);
+          }
+        }
+      };
+
+      await walk(root);
+      return keys.sort();
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
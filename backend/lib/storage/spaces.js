@@ -0,0 +1,86 @@
+const AWS = require("aws-sdk");
+
+// S3-compatible storage (Digital Ocean Spaces, or any S3 stand-in such as
+// MinIO when `forcePathStyle` is set). Objects are uploaded public-read.
+function createSpacesStorage({
+  endpoint,
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  region = "nyc3",
+  forcePathStyle = false,
+  s3,
+}) {
+  const client =
+    s3 ||
+    new AWS.S3({
+      endpoint: new AWS.Endpoint(endpoint),
+      accessKeyId,
+      secretAccessKey,
+      region,
+      s3ForcePathStyle: forcePathStyle,
+      signatureVersion: "v4",
+    });
+
+  const getUrl = (key) => {
+    const { protocol, host, href } = client.endpoint;
+    return forcePathStyle
+      ? `${href}${bucket}/${key}`
+      : `${protocol}//${bucket}.${host}/${key}`;
+  };
+
+  return {
+    name: "spaces",
+    bucket,
+
+    async put(key, body, options = {}) {
+      const result = await client
+        .upload({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ACL: "public-read",
+          ContentType: options.contentType,
+          Metadata: options.metadata,
+        })
+        .promise();
+
+      return { path: key, url: result.Location || getUrl(key) };
+    },
+
+    async get(key) {
+      const result = await client
+        .getObject({ Bucket: bucket, Key: key })
+        .promise();
+      return result.Body;
+    },
+
+    getUrl,
+
+    async delete(key) {
+      await client.deleteObject({ Bucket: bucket, Key: key }).promise();
+    },
+
+    async list(prefix = "") {
+      const keys = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client
+          .listObjectsV2({ Bucket: bucket, Prefix: prefix, ContinuationToken })
+          .promise();
+
+        for (const object of page.Contents || []) {
+          keys.push(object.Key);
+        }
+        ContinuationToken = page.IsTruncated
+          ? page.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+
+      return keys;
+    },
+  };
+}
+
+module.exports = { createSpacesStorage };
@@ -0,0 +1,111 @@
+const { voteChoices } = require("./ballot");
+
+// Tallying for each round mode:
+//   single   - one option per vote, most votes wins
+//   approval - several options per vote, each counted once, most votes wins
+//   ranked   - options in order of preference, instant-runoff: the option
+//              with the fewest votes is eliminated and its votes move to
+//              their next preference until one has a majority
+
+// Options with the highest count (several on a tie, none without votes)
+function leaders(counts) {
+  const max = Math.max(0, ...counts.values());
+  if (max === 0) return [];
+  return [...counts].filter(([, count]) => count === max).map(([key]) => key);
+}
+
+function countFirstPreferences(ballots, remaining) {
+  const counts = new Map([...remaining].map((key) => [key, 0]));
+  let exhausted = 0;
+
+  for (const choices of ballots) {
+    const top = choices.find((key) => remaining.has(key));
+    if (top) counts.set(top, counts.get(top) + 1);
+    else exhausted++;
+  }
+
+  return { counts, exhausted };
+}
+
+// Instant-runoff on a list of preference lists. Returns { winners, rounds }
+// where each round has the counts and the options eliminated after it.
+function instantRunoff(keys, ballots) {
+  const remaining = new Set(keys);
+  const rounds = [];
+
+  while (remaining.size > 0) {
+    const { counts, exhausted } = countFirstPreferences(ballots, remaining);
+    const active = ballots.length - exhausted;
+    const round = {
+      counts: Object.fromEntries(counts),
+      exhausted,
+      eliminated: [],
+    };
+    rounds.push(round);
+
+    if (active === 0) return { winners: [], rounds };
+
+    const [first] = leaders(counts);
+    if (counts.get(first) * 2 > active) return { winners: [first], rounds };
+
+    // Eliminate the option with the fewest votes. Ties go to whichever did
+    // worst in the latest earlier round that separates them; if none does,
+    // all of them go - unless that is everyone left, which is a tie
+    const min = Math.min(...counts.values());
+    let lowest = [...counts].filter(([, c]) => c === min).map(([k]) => k);
+    for (let i = rounds.length - 2; i >= 0 && lowest.length > 1; i--) {
+      const earlier = rounds[i].counts;
+      const fewest = Math.min(...lowest.map((key) => earlier[key]));
+      lowest = lowest.filter((key) => earlier[key] === fewest);
+    }
+    if (lowest.length === remaining.size) return { winners: lowest, rounds };
+
+    round.eliminated = lowest;
+    for (const key of lowest) remaining.delete(key);
+  }
+
+  return { winners: [], rounds };
+}
+
+// Tally a round's votes (rows from votes / voting_history) against its ballot.
+// `tallies` has one entry per option in ballot order: first preferences for
+// ranked rounds, selections for approval rounds.
+function tallyRound(ballot, votes, mode = "single") {
+  const keys = ballot.map((option) => option.key);
+  const valid = new Set(keys);
+  const ballots = votes.map((vote) =>
+    voteChoices(vote).filter((key) => valid.has(key))
+  );
+
+  const counts = new Map(keys.map((key) => [key, 0]));
+  for (const choices of ballots) {
+    const counted = mode === "approval" ? new Set(choices) : choices.slice(0, 1);
+    for (const key of counted) counts.set(key, counts.get(key) + 1);
+  }
+
+  const result = {
+    mode,
+    total_votes: votes.length,
+    tallies: ballot.map((option) => ({
+      key: option.key,
+      label: option.label,
+      image_url: option.image_url,
+      ...(option.submission_id && { submission_id: option.submission_id }),
+      count: counts.get(option.key),
+    })),
+    winners: leaders(counts),
+  };
+
+  if (mode === "ranked") {
+    const runoff = instantRunoff(keys, ballots);
+    result.winners = runoff.winners;
+    result.runoff = runoff.rounds;
+  }
+
+  return result;
+}
+
+module.exports = {
+  instantRunoff,
+  tallyRound,
+};
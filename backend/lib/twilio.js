@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+
+// Twilio request signatures. Twilio signs each webhook with the account's
+// auth token: HMAC-SHA1 over the full URL it requested followed by every POST
+// parameter as name + value, sorted by name, sent base64-encoded in the
+// X-Twilio-Signature header.
+// https://www.twilio.com/docs/usage/webhooks/webhooks-security
+
+function computeSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((text, key) => {
+      const values = Array.isArray(params[key]) ? params[key] : [params[key]];
+      return text + values.map((value) => `${key}${value}`).join("");
+    }, url);
+
+  return crypto.createHmac("sha1", authToken).update(data, "utf8").digest("base64");
+}
+
+function validateSignature(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+
+  const expected = Buffer.from(computeSignature(authToken, url, params));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Headers for a fake Twilio request, so a local stand-in can post to the
+// webhook as Twilio would
+function signRequest(authToken, url, params = {}) {
+  return {
+    "Content-Type": "application/x-www-form-urlencoded",
+    "X-Twilio-Signature": computeSignature(authToken, url, params),
+  };
+}
+
+module.exports = {
+  computeSignature,
+  validateSignature,
+  signRequest,
+};
@@ -0,0 +1,139 @@
+const path = require("path");
+const sharp = require("sharp");
+const { MAX_WIDTH, MAX_HEIGHT } = require("./images");
+
+// Upload validation based on what a file really is, not what the client
+// says it is. Every rejection carries a stable `code` for API clients.
+
+const UPLOAD_ERRORS = {
+  UNSUPPORTED_FILE_TYPE: "Only image files (JPG, PNG, GIF, WebP) are allowed!",
+  UNRECOGNIZED_IMAGE: "File content is not a JPG, PNG, GIF or WebP image",
+  CONTENT_TYPE_MISMATCH: "File content does not match its file type",
+  CORRUPT_IMAGE: "Image file is damaged or could not be read",
+  IMAGE_TOO_LARGE: `Image dimensions too large. Maximum allowed: ${MAX_WIDTH}x${MAX_HEIGHT}px`,
+  ANIMATED_IMAGE: "Animated images are not allowed",
+  TRAILING_DATA: "Image file contains unexpected extra data",
+};
+
+// Declared extensions / MIME subtypes and the real format they claim
+const DECLARED_TYPES = {
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  png: "png",
+  gif: "gif",
+  webp: "webp",
+};
+
+// Identify an image by its magic bytes. Returns jpeg/png/gif/webp or null.
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "png";
+  }
+  const header = buffer.toString("latin1", 0, 6);
+  if (header === "GIF87a" || header === "GIF89a") {
+    return "gif";
+  }
+  if (
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+// Does anything follow the image's own end marker? That's where polyglot
+// files (an image that is also a ZIP, HTML, ...) hide their payload.
+function hasTrailingData(buffer, type) {
+  // Ignore zero padding some encoders leave at the end
+  let end = buffer.length;
+  while (end > 0 && buffer[end - 1] === 0x00) end--;
+
+  switch (type) {
+    case "jpeg":
+      return !(buffer[end - 2] === 0xff && buffer[end - 1] === 0xd9);
+    case "png":
+      // IEND chunk: type + CRC are the last 8 bytes
+      return buffer.toString("latin1", end - 8, end - 4) !== "IEND";
+    case "gif":
+      return buffer[end - 1] !== 0x3b;
+    case "webp":
+      // RIFF size counts everything after the first 8 bytes
+      return buffer.readUInt32LE(4) + 8 < end;
+    default:
+      return false;
+  }
+}
+
+function reject(code, message = UPLOAD_ERRORS[code]) {
+  return { valid: false, code, message };
+}
+
+// True when an encoded image still carries EXIF/XMP/IPTC metadata
+async function hasMetadata(buffer) {
+  const metadata = await sharp(buffer).metadata();
+  return Boolean(metadata.exif || metadata.xmp || metadata.iptc);
+}
+
+// Validate an uploaded file ({ buffer, originalname, mimetype }).
+// policies.animated: "first_frame" (keep frame one) | "reject"
+// policies.trailingData: "strip" (re-encoding drops it) | "reject"
+async function validateUpload(file, policies = {}) {
+  const { animated = "first_frame", trailingData = "strip" } = policies;
+
+  const type = sniffImageType(file.buffer);
+  if (!type) return reject("UNRECOGNIZED_IMAGE");
+
+  const declaredExt =
+    DECLARED_TYPES[path.extname(file.originalname).slice(1).toLowerCase()];
+  const declaredMime = DECLARED_TYPES[(file.mimetype || "").split("/")[1]];
+  if (declaredExt !== type || declaredMime !== type) {
+    return reject("CONTENT_TYPE_MISMATCH");
+  }
+
+  if (trailingData === "reject" && hasTrailingData(file.buffer, type)) {
+    return reject("TRAILING_DATA");
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { pages: -1 }).metadata();
+  } catch (error) {
+    return reject("CORRUPT_IMAGE");
+  }
+
+  if (metadata.format !== type) {
+    return reject("CONTENT_TYPE_MISMATCH");
+  }
+
+  const height = metadata.pageHeight || metadata.height;
+  if (metadata.width > MAX_WIDTH || height > MAX_HEIGHT) {
+    return reject(
+      "IMAGE_TOO_LARGE",
+      `${UPLOAD_ERRORS.IMAGE_TOO_LARGE}. Your image: ${metadata.width}x${height}px`
+    );
+  }
+
+  if (animated === "reject" && metadata.pages > 1) {
+    return reject("ANIMATED_IMAGE");
+  }
+
+  return { valid: true, type, width: metadata.width, height };
+}
+
+module.exports = {
+  UPLOAD_ERRORS,
+  sniffImageType,
+  hasTrailingData,
+  hasMetadata,
+  validateUpload,
+};
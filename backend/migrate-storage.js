@@ -0,0 +1,154 @@
+const sqlite3 = require("sqlite3").verbose();
+const path = require("path");
+require("dotenv").config();
+const { BACKENDS, contentTypeFor, createStorage } = require("./lib/storage");
+const { storedImagePaths } = require("./lib/images");
+
+// Move every image referenced by the users table from one storage backend
+// to another and rewrite image_path, image_url and image_variants.
+//
+//   node migrate-storage.js --from local --to spaces [--base-url URL]
+//                           [--delete-source] [--dry-run]
+
+function parseArgs(argv) {
+  const args = { deleteSource: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--from":
+        args.from = argv[++i];
+        break;
+      case "--to":
+        args.to = argv[++i];
+        break;
+      case "--base-url":
+        args.baseUrl = argv[++i];
+        break;
+      case "--delete-source":
+        args.deleteSource = true;
+        break;
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!BACKENDS.includes(args.from) || !BACKENDS.includes(args.to)) {
+    throw new Error(`--from and --to must be one of: ${BACKENDS.join(", ")}`);
+  }
+  if (args.from === args.to) {
+    throw new Error("--from and --to must be different backends");
+  }
+
+  return args;
+}
+
+// Local keys are stored relative to the uploads root; rows written before the
+// storage layer hold absolute paths, which we normalise on the way out.
+function normaliseKey(source, storedPath) {
+  if (source.name === "local" && path.isAbsolute(storedPath)) {
+    return path.relative(source.root, storedPath).split(path.sep).join("/");
+  }
+  return storedPath;
+}
+
+async function migrateRow(row, source, target, args) {
+  const moved = {};
+
+  for (const storedPath of storedImagePaths(row)) {
+    const key = normaliseKey(source, storedPath);
+
+    if (args.dryRun) {
+      moved[storedPath] = { path: key, url: target.getUrl(key, args) };
+      continue;
+    }
+
+    const body = await source.get(storedPath);
+    moved[storedPath] = await target.put(key, body, {
+      contentType: contentTypeFor(key),
+      baseUrl: args.baseUrl,
+    });
+  }
+
+  const variants = row.image_variants ? JSON.parse(row.image_variants) : null;
+  if (variants) {
+    for (const formats of Object.values(variants)) {
+      for (const format of Object.keys(formats)) {
+        formats[format] = moved[formats[format].path];
+      }
+    }
+  }
+
+  return {
+    imagePath: moved[row.image_path].path,
+    imageUrl: moved[row.image_path].url,
+    variantsJson: variants ? JSON.stringify(variants) : null,
+    oldPaths: Object.keys(moved),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = createStorage(args.from);
+  const target = createStorage(args.to);
+
+  const db = new sqlite3.Database(
+    path.join(__dirname, "database", "users.db")
+  );
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) =>
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+    );
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) =>
+      db.run(sql, params, (err) => (err ? reject(err) : resolve()))
+    );
+
+  console.log(
+    `🚚 Migrating images: ${source.name} → ${target.name}${
+      args.dryRun ? " (dry run)" : ""
+    }`
+  );
+
+  const rows = await all(
+    "SELECT id, image_path, image_url, image_variants FROM users"
+  );
+  let migrated = 0;
+  let failed = 0;
+
+  for (const row of rows) {
+    try {
+      const result = await migrateRow(row, source, target, args);
+
+      if (!args.dryRun) {
+        await run(
+          "UPDATE users SET image_path = ?, image_url = ?, image_variants = ? WHERE id = ?",
+          [result.imagePath, result.imageUrl, result.variantsJson, row.id]
+        );
+
+        if (args.deleteSource) {
+          for (const oldPath of result.oldPaths) {
+            await source.delete(oldPath);
+          }
+        }
+      }
+
+      migrated++;
+      console.log(`✅ ${row.id}: ${result.imageUrl}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${row.id}: ${error.message}`);
+    }
+  }
+
+  db.close();
+  console.log(`📊 Migrated ${migrated} of ${rows.length} submissions`);
+  if (failed > 0) process.exit(1);
+}
+
+main().catch((error) => {
+  console.error("❌ Migration failed:", error.message);
+  process.exit(1);
+});
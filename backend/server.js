@@ -1,12 +1,93 @@
 const express = require("express");
 const sqlite3 = require("sqlite3").verbose();
 const multer = require("multer");
-const multerS3 = require("multer-s3");
-const AWS = require("aws-sdk");
 const path = require("path");
 const fs = require("fs");
 const cors = require("cors");
 const { v4: uuidv4 } = require("uuid");
+const {
+  processImage,
+  variantKey,
+  variantUrls,
+  storedImagePaths,
+} = require("./lib/images");
+const { createStorage } = require("./lib/storage");
+const {
+  UPLOAD_ERRORS,
+  hasMetadata,
+  validateUpload,
+} = require("./lib/upload-validation");
+const {
+  hashImage,
+  findClosest,
+  clusterDuplicates,
+} = require("./lib/duplicates");
+const {
+  DEFAULT_CHUNK_SIZE,
+  MAX_UPLOAD_SIZE,
+  SESSION_TTL_MS,
+  createChunkStore,
+  isUploadId,
+  chunkCount,
+  expectedChunkLength,
+} = require("./lib/chunked-uploads");
+const { buildExportQuery, writeGalleryExport } = require("./lib/export");
+const {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+} = require("./lib/pagination");
+const {
+  DEFAULT_BALLOT,
+  generateKeys,
+  validateBallot,
+  voteChoices,
+  parseChoices,
+} = require("./lib/ballot");
+const { tallyRound } = require("./lib/tally");
+const {
+  buildRoundReport,
+  buildEventReport,
+  reportToCsv,
+} = require("./lib/reports");
+const { createEventBus } = require("./lib/events");
+const {
+  normalizePhone,
+  normalizePrefix,
+  phonePrefix,
+} = require("./lib/phone");
+const { createRateLimiter } = require("./lib/fraud");
+const { validateSignature } = require("./lib/twilio");
+const {
+  normalizeKeyword,
+  matchCommand,
+  validateKeyword,
+  parsePledge,
+} = require("./lib/sms-commands");
+const {
+  DEFAULT_LANGUAGE,
+  TEMPLATE_NAMES,
+  TEMPLATE_PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  VOTING_CLOSED_TEMPLATES,
+  languageFor,
+  renderTemplate,
+  validateTemplate,
+} = require("./lib/sms-replies");
+const { validateBroadcast, isStatusUpgrade } = require("./lib/broadcasts");
+const { defaultProvider, createSmsProvider } = require("./lib/sms-providers");
+const {
+  ADAPTERS,
+  adapterName,
+  createInboundAdapter,
+  validateWebhookToken,
+} = require("./lib/sms-inbound");
+const {
+  DEFAULT_ROUND_SETTINGS,
+  validateRoundSettings,
+  parseSchedule,
+  remainingSeconds,
+} = require("./lib/rounds");
 const generateShortId = () =>
   Date.now().toString(36).slice(-6) + Math.random().toString(36).slice(2, 6);
 require("dotenv").config();
@@ -14,8 +95,23 @@ require("dotenv").config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Storage configuration - can switch between local and Spaces
-const USE_SPACES = process.env.USE_SPACES === "true";
+// Storage configuration - STORAGE_BACKEND (or USE_SPACES) picks local or Spaces
+const storage = createStorage();
+const USE_SPACES = storage.name === "spaces";
+
+// Outbound SMS - SMS_PROVIDER (or Twilio credentials) picks the provider.
+// Without one, or with one missing settings, broadcasts are turned off
+// (smsProvider is null, smsProviderError says why).
+let smsProvider = null;
+let smsProviderError = "no SMS_PROVIDER or TWILIO_ACCOUNT_SID set";
+if (defaultProvider()) {
+  try {
+    smsProvider = createSmsProvider();
+    smsProviderError = null;
+  } catch (error) {
+    smsProviderError = error.message;
+  }
+}
 
 // Middleware
 app.use(
@@ -38,9 +134,48 @@ if (process.env.NODE_ENV === "production") {
 
 // Serve uploaded images (for local storage only)
 if (!USE_SPACES) {
-  app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+  app.use("/uploads", express.static(storage.root));
 }
 
+// Default app_config values, inserted once and editable via /api/config/:key
+const DEFAULT_CONFIG = {
+  // "true" holds new submissions as pending until an admin approves them
+  moderation_enabled: "false",
+  // Days a deleted submission stays in the trash before its files are purged
+  trash_retention_days: "30",
+  // Duplicate uploads: "flag" (store with duplicate_of), "reject" or "off"
+  duplicate_policy: "flag",
+  // Max perceptual-hash distance (bits out of 64) counted as a near duplicate
+  duplicate_threshold: "6",
+  // Animated GIF/WebP uploads: "first_frame" (keep a still) or "reject"
+  animated_image_policy: "first_frame",
+  // Data after an image's end marker (polyglot files, motion photos):
+  // "strip" (dropped by re-encoding) or "reject"
+  trailing_data_policy: "strip",
+  // Country code for phone numbers sent without one
+  default_country_code: "1",
+  // Vote velocity limits per velocity_window_seconds (0 turns one off): per
+  // phone number, and per number prefix of phone_prefix_digits digits
+  vote_limit_per_number: "5",
+  vote_limit_per_prefix: "100",
+  velocity_window_seconds: "60",
+  phone_prefix_digits: "7",
+  // New votes from one prefix beyond burst_threshold within
+  // burst_window_seconds are quarantined instead of counted (0: off)
+  burst_threshold: "10",
+  burst_window_seconds: "60",
+  // Reply to HELP
+  help_message:
+    "Text a letter to vote or an amount to pledge. STATUS: your vote and pledges. UNDO: take back your last one. STOP: no more texts.",
+  // Language for SMS replies to countries without one of their own (see
+  // lib/sms-replies.js)
+  default_sms_language: "en",
+  // How long after a vote or pledge UNDO can still take it back
+  undo_window_minutes: "15",
+  // Broadcast messages sent per second (most numbers allow about one)
+  broadcast_rate_per_second: "1",
+};
+
 // Database connection
 const dbPath = path.join(__dirname, "database", "users.db");
 const db = new sqlite3.Database(dbPath, (err) => {
@@ -60,130 +195,290 @@ const db = new sqlite3.Database(dbPath, (err) => {
       if (err) {
         console.error("Error creating app_config table:", err.message);
       } else {
-        // Insert default auto_reply_message if not exists
-        db.run(`
-          INSERT OR IGNORE INTO app_config (key, value, updated_at)
-          VALUES ('auto_reply_message', 'Thank you for your pledge!', datetime('now'))
-        `);
+        // Insert default config values if not exists
+        for (const [key, value] of Object.entries(DEFAULT_CONFIG)) {
+          db.run(
+            `INSERT OR IGNORE INTO app_config (key, value, updated_at)
+             VALUES (?, ?, datetime('now'))`,
+            [key, value]
+          );
+        }
       }
     });
   }
 });
 
-// Configure Digital Ocean Spaces (S3-compatible)
-let spacesEndpoint;
-if (USE_SPACES) {
-  spacesEndpoint = new AWS.S3({
-    endpoint: new AWS.Endpoint(process.env.SPACES_ENDPOINT),
-    accessKeyId: process.env.SPACES_ACCESS_KEY,
-    secretAccessKey: process.env.SPACES_SECRET_KEY,
-    region: process.env.SPACES_REGION || "nyc3",
-    s3ForcePathStyle: false,
-    signatureVersion: "v4",
+// Promise wrappers for the callback-style sqlite3 API
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+// Run `fn` in a transaction: committed if it resolves, rolled back if it
+// throws. There is one connection, so transactions can't overlap - they wait
+// for each other in arrival order. `fn` must not start another one.
+let transactionQueue = Promise.resolve();
+function inTransaction(fn) {
+  const run = transactionQueue.then(async () => {
+    await dbRun("BEGIN IMMEDIATE");
+    try {
+      const result = await fn();
+      await dbRun("COMMIT");
+      return result;
+    } catch (err) {
+      await dbRun("ROLLBACK").catch(() => {});
+      throw err;
+    }
   });
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
+// Round transitions and everything that writes votes, ballots, round
+// settings or the schedule run one at a time, in arrival order, so a vote
+// can't land in a round that is being archived - and, as there is one
+// connection, no such write can slip into a transition's transaction and be
+// rolled back with it. Resolves or rejects with `fn`'s result.
+let roundQueue = Promise.resolve();
+function withRoundLock(fn) {
+  const run = roundQueue.then(fn);
+  roundQueue = run.catch(() => {});
+  return run;
+}
 
-  console.log(`📦 Using Digital Ocean Spaces: ${process.env.SPACES_BUCKET}`);
+// Read an app_config value, falling back to its default
+async function getConfig(key) {
+  const row = await dbGet("SELECT value FROM app_config WHERE key = ?", [key]);
+  return row ? row.value : DEFAULT_CONFIG[key];
+}
+
+// A numeric app_config value. /api/config/:key takes any text, so a value
+// that isn't a number from 0 to `max` falls back to the default.
+async function getNumberConfig(key, { max = Number.MAX_SAFE_INTEGER } = {}) {
+  const value = Number(await getConfig(key));
+  return Number.isFinite(value) && value >= 0 && value <= max
+    ? value
+    : Number(DEFAULT_CONFIG[key]);
+}
+
+// Chunks of resumable uploads wait on local disk until they are complete
+const chunkStore = createChunkStore(
+  process.env.UPLOAD_TMP_DIR || path.join(__dirname, "tmp", "uploads")
+);
+
+if (USE_SPACES) {
+  console.log(`📦 Using Digital Ocean Spaces: ${storage.bucket}`);
 } else {
   console.log("📁 Using local file storage");
 }
 
-// Configure multer for image uploads
-let upload;
+const INVALID_IMAGE_TYPE = UPLOAD_ERRORS.UNSUPPORTED_FILE_TYPE;
 
-if (USE_SPACES) {
-  // Digital Ocean Spaces upload configuration
-  upload = multer({
-    storage: multerS3({
-      s3: spacesEndpoint,
-      bucket: process.env.SPACES_BUCKET,
-      acl: "public-read",
-      key: function (req, file, cb) {
-        const uniqueName = `images/${uuidv4()}${path.extname(
-          file.originalname
-        )}`;
-        cb(null, uniqueName);
-      },
-      contentType: multerS3.AUTO_CONTENT_TYPE,
-      metadata: function (req, file, cb) {
-        cb(null, {
-          originalName: file.originalname,
-          uploadedAt: new Date().toISOString(),
-        });
-      },
-    }),
-    limits: {
-      fileSize: 10 * 1024 * 1024, // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-      const allowedTypes = /jpeg|jpg|png|gif|webp/;
-      const extname = allowedTypes.test(
-        path.extname(file.originalname).toLowerCase()
-      );
-      const mimetype = allowedTypes.test(file.mimetype);
+// Check an upload's extension and declared MIME type. This is only a first
+// filter - validateUpload() checks what the file's bytes actually are.
+function isAllowedImage(file) {
+  const allowedTypes = /jpeg|jpg|png|gif|webp/;
+  const extname = allowedTypes.test(
+    path.extname(file.originalname).toLowerCase()
+  );
+  const mimetype = allowedTypes.test(file.mimetype);
+  return extname && mimetype;
+}
 
-      if (extname && mimetype) {
-        return cb(null, true);
-      } else {
-        cb(new Error("Only image files (JPG, PNG, GIF, WebP) are allowed!"));
-      }
-    },
-  });
-} else {
-  // Local storage configuration
-  const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-      const uploadDir = path.join(__dirname, "uploads", "images");
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-      const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
-      cb(null, uniqueName);
-    },
-  });
+// Configure multer for image uploads. Files are kept in memory so every
+// upload can go through the processing pipeline before it is stored.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isAllowedImage(file)) {
+      return cb(null, true);
+    } else {
+      cb(new Error(INVALID_IMAGE_TYPE));
+    }
+  },
+});
 
-  upload = multer({
-    storage: storage,
-    limits: {
-      fileSize: 10 * 1024 * 1024, // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-      const allowedTypes = /jpeg|jpg|png|gif|webp/;
-      const extname = allowedTypes.test(
-        path.extname(file.originalname).toLowerCase()
-      );
-      const mimetype = allowedTypes.test(file.mimetype);
+// Perceptual hashes are 64 bits, so no two are further apart than this
+const MAX_HASH_DISTANCE = 64;
 
-      if (extname && mimetype) {
-        return cb(null, true);
-      } else {
-        cb(new Error("Only image files (JPG, PNG, GIF, WebP) are allowed!"));
-      }
-    },
+// Check an upload's hashes against the gallery (excluding `excludeId`).
+// Returns the closest duplicate within duplicate_threshold, or null.
+async function findDuplicate(hashes, excludeId = null) {
+  const threshold = await getNumberConfig("duplicate_threshold", {
+    max: MAX_HASH_DISTANCE,
   });
+  const rows = await dbAll(
+    `SELECT id, content_hash, perceptual_hash FROM users
+     WHERE deleted_at IS NULL AND perceptual_hash IS NOT NULL AND id IS NOT ?`,
+    [excludeId]
+  );
+  return findClosest(hashes, rows, threshold);
 }
 
-// Utility function to validate image dimensions (for local files only)
-async function validateImageSize(imagePath, maxWidth = 4000, maxHeight = 4000) {
-  try {
-    const metadata = await sharp(imagePath).metadata();
+// Validate, hash, re-encode and store an upload with all of its variants.
+// Returns { valid: false, statusCode, code, message } for images we refuse.
+async function processUpload(req, { excludeId = null } = {}) {
+  const validation = await validateUpload(req.file, {
+    animated: await getConfig("animated_image_policy"),
+    trailingData: await getConfig("trailing_data_policy"),
+  });
+  if (!validation.valid) return { ...validation, statusCode: 400 };
 
-    if (metadata.width > maxWidth || metadata.height > maxHeight) {
-      return {
-        valid: false,
-        message: `Image dimensions too large. Maximum allowed: ${maxWidth}x${maxHeight}px. Your image: ${metadata.width}x${metadata.height}px`,
-      };
-    }
+  // Headers can look fine on a truncated or malformed file - the first full
+  // decode (hashing, then re-encoding) is where that shows up
+  const corruptImage = (error) => {
+    console.error("Error decoding image:", error.message);
+    return {
+      valid: false,
+      statusCode: 400,
+      code: "CORRUPT_IMAGE",
+      message: UPLOAD_ERRORS.CORRUPT_IMAGE,
+    };
+  };
 
-    return { valid: true };
+  let hashes;
+  try {
+    hashes = await hashImage(req.file.buffer);
   } catch (error) {
+    return corruptImage(error);
+  }
+
+  const duplicatePolicy = await getConfig("duplicate_policy");
+  const duplicate =
+    duplicatePolicy === "off" ? null : await findDuplicate(hashes, excludeId);
+
+  if (duplicate && duplicatePolicy === "reject") {
     return {
       valid: false,
-      message: "Invalid image file",
+      statusCode: 409,
+      code: "DUPLICATE_IMAGE",
+      message: "This image has already been submitted",
+      duplicate,
     };
   }
+
+  let outputs;
+  try {
+    outputs = await processImage(req.file.buffer);
+  } catch (error) {
+    return corruptImage(error);
+  }
+
+  // Attendees' phone photos carry GPS coordinates - never store any metadata
+  for (const output of outputs) {
+    if (await hasMetadata(output.buffer)) {
+      throw new Error(`Metadata left in ${output.size} ${output.format} variant`);
+    }
+  }
+
+  const baseName = uuidv4();
+  const variants = {};
+  const stored = [];
+
+  try {
+    for (const output of outputs) {
+      const key = variantKey(baseName, output);
+      const entry = await storage.put(key, output.buffer, {
+        contentType: output.contentType,
+        metadata: {
+          originalName: req.file.originalname,
+          uploadedAt: new Date().toISOString(),
+        },
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+      });
+      stored.push(entry.path);
+
+      variants[output.size] = variants[output.size] || {};
+      variants[output.size][output.format] = entry;
+    }
+  } catch (error) {
+    // Don't leave half an upload behind
+    for (const storedPath of stored) {
+      try {
+        await storage.delete(storedPath);
+      } catch (cleanupErr) {
+        console.error("Error cleaning up file:", cleanupErr.message);
+      }
+    }
+    throw error;
+  }
+
+  return {
+    valid: true,
+    imagePath: variants.original.jpeg.path,
+    imageUrl: variants.original.jpeg.url,
+    variants,
+    hashes,
+    duplicate,
+  };
+}
+
+// Delete stored images, logging (not throwing) on failure
+async function purgeImages(imagePaths) {
+  for (const imagePath of imagePaths) {
+    try {
+      await storage.delete(imagePath);
+      console.log(`🗑️ Deleted image: ${imagePath}`);
+    } catch (e) {
+      console.error(`Failed to delete ${imagePath}:`, e.message);
+    }
+  }
+}
+
+// Permanently delete users rows and every stored image they reference
+async function purgeUsers(users) {
+  for (const user of users) {
+    await purgeImages(storedImagePaths(user));
+    await dbRun("DELETE FROM users WHERE id = ?", [user.id]);
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RETENTION_DAYS = 36500;
+
+// Purge trashed users older than trash_retention_days (or all of them)
+async function purgeTrash({ all = false } = {}) {
+  const retentionDays = await getNumberConfig("trash_retention_days", {
+    max: MAX_RETENTION_DAYS,
+  });
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+
+  const users = await dbAll(
+    `SELECT id, image_path, image_variants FROM users
+     WHERE deleted_at IS NOT NULL ${all ? "" : "AND deleted_at < ?"}`,
+    all ? [] : [cutoff]
+  );
+
+  await purgeUsers(users);
+  if (users.length > 0) {
+    console.log(`🧹 Purged ${users.length} users from trash`);
+  }
+  return users.length;
+}
+
+// Shape a users row for API responses
+function formatUser(row) {
+  const { image_variants, ...user } = row;
+  return { ...user, variants: variantUrls(image_variants) };
 }
 
 // API Routes (prefixed with /api to avoid conflicts with React routes)
@@ -195,7 +490,7 @@ app.get("/api/health", (req, res) => {
     timestamp: new Date().toISOString(),
     service: "Form Submission Backend + React Frontend",
     storage: USE_SPACES ? "Digital Ocean Spaces" : "Local Storage",
-    spaces_bucket: USE_SPACES ? process.env.SPACES_BUCKET : "N/A",
+    spaces_bucket: USE_SPACES ? storage.bucket : "N/A",
   });
 });
 
@@ -236,38 +531,145 @@ app.post("/api/config/:key", (req, res) => {
   );
 });
 
-// Get all users (for gallery)
-app.get("/api/users", (req, res) => {
-  db.all(
-    `
-    SELECT 
-      id, 
-      name,
-      image_url,
-      created_at
-    FROM users 
-    ORDER BY created_at DESC
-  `,
-    (err, rows) => {
-      if (err) {
-        console.error("Error fetching users:", err.message);
-        res.status(500).json({
-          success: false,
-          error: "Internal server error",
-        });
-      } else {
-        res.json({
-          success: true,
-          data: rows,
-          count: rows.length,
-          storage_type: USE_SPACES ? "spaces" : "local",
-        });
-      }
-    }
+// Sort orders for the gallery listing
+const GALLERY_SORTS = {
+  newest: { column: "created_at", direction: "DESC" },
+  oldest: { column: "created_at", direction: "ASC" },
+  name: { column: "name", direction: "ASC" },
+  name_desc: { column: "name", direction: "DESC" },
+};
+
+const GALLERY_QUERY_PARAMS = [
+  "q",
+  "sort",
+  "limit",
+  "cursor",
+  "since",
+  "created_after",
+  "created_before",
+];
+
+// Get approved users (for gallery), one page at a time.
+// Query: limit, cursor, sort, q (name search), created_after, created_before,
+// since (latest_cursor from an earlier response - only newer items)
+app.get("/api/users", async (req, res) => {
+  const badRequest = (error) =>
+    res.status(400).json({ success: false, error });
+
+  // Repeated or bracketed parameters (?q=a&q=b, ?q[]=a) arrive as arrays or
+  // objects
+  const notText = GALLERY_QUERY_PARAMS.find(
+    (key) => req.query[key] !== undefined && typeof req.query[key] !== "string"
   );
+  if (notText) return badRequest(`${notText} must be given once, as text`);
+
+  const { q, created_after, created_before, cursor, since } = req.query;
+  const sortName = req.query.sort || "newest";
+  const sort = Object.hasOwn(GALLERY_SORTS, sortName) ? GALLERY_SORTS[sortName] : null;
+  const limit = parseLimit(req.query.limit);
+
+  if (!sort) {
+    return badRequest(
+      `Sort must be one of: ${Object.keys(GALLERY_SORTS).join(", ")}`
+    );
+  }
+
+  // Filters shared by the page, the total and the latest cursor
+  const where = ["status = 'approved'", "deleted_at IS NULL"];
+  const params = [];
+
+  if (q && q.trim()) {
+    where.push("name LIKE ? ESCAPE '\\'");
+    params.push(`%${q.trim().replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  for (const [value, op, label] of [
+    [created_after, ">", "created_after"],
+    [created_before, "<", "created_before"],
+  ]) {
+    if (value === undefined) continue;
+    if (Number.isNaN(Date.parse(value))) {
+      return badRequest(`${label} must be a valid date`);
+    }
+    where.push(`created_at ${op} datetime(?)`);
+    params.push(value);
+  }
+
+  if (since) {
+    const after = decodeCursor(since);
+    if (!after) return badRequest("Invalid since cursor");
+    where.push("(created_at > ? OR (created_at = ? AND id > ?))");
+    params.push(after.value, after.value, after.id);
+  }
+
+  const { column, direction } = sort;
+  const pageWhere = [...where];
+  const pageParams = [...params];
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) return badRequest("Invalid cursor");
+    const op = direction === "DESC" ? "<" : ">";
+    pageWhere.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+    pageParams.push(position.value, position.value, position.id);
+  }
+
+  try {
+    const rows = await dbAll(
+      `
+      SELECT 
+        id, 
+        name,
+        image_url,
+        image_variants,
+        created_at
+      FROM users 
+      WHERE ${pageWhere.join(" AND ")}
+      ORDER BY ${column} ${direction}, id ${direction}
+      LIMIT ?
+    `,
+      [...pageParams, limit + 1]
+    );
+
+    const { total } = await dbGet(
+      `SELECT COUNT(*) AS total FROM users WHERE ${where.join(" AND ")}`,
+      params
+    );
+
+    // Newest matching row, for clients polling with ?since=
+    const latest = await dbGet(
+      `SELECT id, created_at FROM users WHERE ${where.join(" AND ")}
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      params
+    );
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    res.json({
+      success: true,
+      data: page.map(formatUser),
+      count: page.length,
+      total,
+      has_more: hasMore,
+      next_cursor: hasMore ? encodeCursor(last[column], last.id) : null,
+      latest_cursor: latest
+        ? encodeCursor(latest.created_at, latest.id)
+        : since || null,
+      storage_type: storage.name,
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
 });
 
-// Get specific user by ID
+// Get specific user by ID. Like the gallery, only approved submissions -
+// the moderation queue is at /api/moderation.
 app.get("/api/users/:id", (req, res) => {
   const { id } = req.params;
 
@@ -278,9 +680,10 @@ app.get("/api/users/:id", (req, res) => {
       name,
       image_url,
       image_path,
+      image_variants,
       created_at
     FROM users 
-    WHERE id = ?
+    WHERE id = ? AND status = 'approved' AND deleted_at IS NULL
   `,
     [id],
     (err, row) => {
@@ -298,101 +701,244 @@ app.get("/api/users/:id", (req, res) => {
       } else {
         res.json({
           success: true,
-          data: row,
+          data: formatUser(row),
         });
       }
     }
   );
 });
 
-// Update user name by ID
-app.put("/api/users/:id", (req, res) => {
+// Vote totals for a submission across every round it was on the ballot of
+// (archived rounds plus the live one)
+app.get("/api/users/:id/votes", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await dbGet(
+      "SELECT id, name FROM users WHERE id = ? AND deleted_at IS NULL",
+      [id]
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: "User not found" });
+    }
+
+    const config = await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+    const currentRound = config?.current_round || 1;
+    const history = await dbAll(
+      "SELECT round, votes_json, ended_at FROM voting_history ORDER BY ended_at ASC"
+    );
+    const entries = history.map((h) => ({
+      round: h.round,
+      status: "archived",
+      votes: JSON.parse(h.votes_json),
+      endedAt: h.ended_at,
+    }));
+    entries.push({
+      round: currentRound,
+      status: "live",
+      votes: await dbAll("SELECT * FROM votes WHERE round = ?", [currentRound]),
+    });
+
+    const rounds = [];
+    for (const entry of entries) {
+      const ballot = await getBallot(entry.round);
+      if (!ballot.some((option) => option.submission_id === id)) continue;
+
+      const report = buildRoundReport({
+        ...entry,
+        ballot,
+        mode: (await getRoundSettings(entry.round)).mode,
+      });
+      const option = report.options.find((o) => o.submission_id === id);
+      rounds.push({
+        round: report.round,
+        status: report.status,
+        mode: report.mode,
+        ended_at: report.ended_at,
+        key: option.key,
+        count: option.count,
+        percentage: option.percentage,
+        winner: option.winner,
+        round_total_votes: report.total_votes,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: user.id,
+        name: user.name,
+        total_votes: rounds.reduce((sum, r) => sum + r.count, 0),
+        wins: rounds.filter((r) => r.winner && r.status === "archived").length,
+        rounds,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching submission votes:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Update a user's name and/or image by ID. Accepts JSON ({ name }) or
+// multipart with an optional new "image"; id and created_at never change.
+app.put("/api/users/:id", upload.single("image"), async (req, res) => {
   const { id } = req.params;
   const { name } = req.body;
 
   // Validation
-  if (!name || !name.trim()) {
+  if (name !== undefined && typeof name !== "string") {
+    return res.status(400).json({
+      success: false,
+      error: "Name must be text",
+    });
+  }
+
+  if (!req.file && (!name || !name.trim())) {
     return res.status(400).json({
       success: false,
       error: "Name is required",
     });
   }
 
-  // First check if user exists
-  db.get("SELECT id FROM users WHERE id = ?", [id], (err, row) => {
-    if (err) {
-      console.error("Error checking user existence:", err.message);
-      return res.status(500).json({
-        success: false,
-        error: "Internal server error",
-      });
-    }
+  if (name !== undefined && !name.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: "Name cannot be empty",
+    });
+  }
 
-    if (!row) {
+  try {
+    // First check if user exists
+    const existing = await dbGet(
+      "SELECT id, image_path, image_variants FROM users WHERE id = ? AND deleted_at IS NULL",
+      [id]
+    );
+
+    if (!existing) {
       return res.status(404).json({
         success: false,
         error: "User not found",
       });
     }
 
-    // Update the user's name
-    const stmt = db.prepare("UPDATE users SET name = ? WHERE id = ?");
+    const updates = [];
+    const params = [];
 
-    stmt.run([name.trim(), id], function (err) {
-      if (err) {
-        console.error("Error updating user name:", err.message);
-        res.status(500).json({
+    if (name !== undefined) {
+      updates.push("name = ?");
+      params.push(name.trim());
+    }
+
+    let processed;
+    if (req.file) {
+      try {
+        processed = await processUpload(req, { excludeId: id });
+      } catch (error) {
+        console.error("Error processing image:", error.message);
+        return res.status(500).json({
           success: false,
-          error: "Internal server error",
+          error: "Failed to process image",
         });
-      } else if (this.changes === 0) {
-        res.status(404).json({
+      }
+
+      if (!processed.valid) {
+        return res.status(processed.statusCode).json({
           success: false,
-          error: "User not found",
+          error: processed.message,
+          code: processed.code,
+          ...(processed.duplicate && { duplicate_of: processed.duplicate.id }),
         });
-      } else {
-        // Fetch and return the updated user data
-        db.get(
-          `
-          SELECT 
-            id, 
-            name,
-            image_url,
-            image_path,
-            created_at
-          FROM users 
-          WHERE id = ?
-        `,
-          [id],
-          (err, updatedRow) => {
-            if (err) {
-              console.error("Error fetching updated user:", err.message);
-              res.status(500).json({
-                success: false,
-                error: "Update successful but could not fetch updated data",
-              });
-            } else {
-              console.log(
-                `✅ Updated user name: ${updatedRow.name} (ID: ${id})`
-              );
-
-              res.json({
-                success: true,
-                message: "Name updated successfully",
-                data: updatedRow,
-              });
-            }
-          }
+      }
+
+      updates.push(
+        "image_path = ?",
+        "image_url = ?",
+        "image_variants = ?",
+        "original_filename = ?",
+        "content_hash = ?",
+        "perceptual_hash = ?",
+        "duplicate_of = ?"
+      );
+      params.push(
+        processed.imagePath,
+        processed.imageUrl,
+        JSON.stringify(processed.variants),
+        req.file.originalname,
+        processed.hashes.contentHash,
+        processed.hashes.perceptualHash,
+        processed.duplicate ? processed.duplicate.id : null
+      );
+
+      // A new image has to go through moderation again
+      if ((await getConfig("moderation_enabled")) === "true") {
+        updates.push("status = 'pending'");
+      }
+    }
+
+    try {
+      await dbRun(`UPDATE users SET ${updates.join(", ")} WHERE id = ?`, [
+        ...params,
+        id,
+      ]);
+    } catch (error) {
+      // Don't keep the new images if the row still points at the old ones
+      if (processed) {
+        await purgeImages(
+          storedImagePaths({
+            image_path: processed.imagePath,
+            image_variants: JSON.stringify(processed.variants),
+          })
         );
       }
-    });
+      throw error;
+    }
 
-    stmt.finalize();
-  });
+    // The row now points at the new images - drop the old ones
+    if (processed) {
+      await purgeImages(storedImagePaths(existing));
+    }
+
+    // Fetch and return the updated user data
+    const updatedRow = await dbGet(
+      `
+      SELECT 
+        id, 
+        name,
+        image_url,
+        image_path,
+        image_variants,
+        status,
+        moderation_reason,
+        created_at
+      FROM users 
+      WHERE id = ?
+    `,
+      [id]
+    );
+
+    console.log(
+      `✅ Updated user${processed ? " image" : ""}: ${updatedRow.name} (ID: ${id})`
+    );
+
+    res.json({
+      success: true,
+      message: processed
+        ? "Submission updated successfully"
+        : "Name updated successfully",
+      data: formatUser(updatedRow),
+    });
+  } catch (error) {
+    console.error("Error updating user:", error.message);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
 });
 
-// Submit form with image upload
-app.post("/api/submit", upload.single("image"), async (req, res) => {
+// Create a submission from req.body.name and req.file. Shared by
+// /api/submit and the completion step of resumable uploads.
+async function handleSubmission(req, res) {
   try {
     const { name } = req.body;
 
@@ -412,513 +958,3606 @@ app.post("/api/submit", upload.single("image"), async (req, res) => {
     }
 
     const userId = generateShortId();
-    let imagePath, imageUrl;
 
-    if (USE_SPACES) {
-      // Digital Ocean Spaces
-      imagePath = req.file.key;
-      imageUrl = req.file.location;
+    let processed;
+    try {
+      processed = await processUpload(req);
+    } catch (error) {
+      console.error("Error processing image:", error.message);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to process image",
+      });
+    }
 
-      console.log(`📦 Image uploaded to Spaces: ${imageUrl}`);
-    } else {
-      // Local storage
-      imagePath = req.file.path;
-      imageUrl = `${req.protocol}://${req.get("host")}/uploads/images/${
-        req.file.filename
-      }`;
-
-      // Validate image dimensions for local files
-      const imageValidation = await validateImageSize(req.file.path);
-      if (!imageValidation.valid) {
-        try {
-          fs.unlinkSync(req.file.path);
-        } catch (unlinkErr) {
-          console.error("Error cleaning up file:", unlinkErr.message);
-        }
+    if (!processed.valid) {
+      return res.status(processed.statusCode).json({
+        success: false,
+        error: processed.message,
+        code: processed.code,
+        ...(processed.duplicate && { duplicate_of: processed.duplicate.id }),
+      });
+    }
 
-        return res.status(400).json({
+    const { imagePath, imageUrl, variants, hashes, duplicate } = processed;
+    console.log(
+      `${USE_SPACES ? "📦" : "📁"} Image processed and stored: ${imageUrl}`
+    );
+
+    // With moderation off, submissions go straight into the gallery
+    const moderationEnabled = (await getConfig("moderation_enabled")) === "true";
+    const status = moderationEnabled ? "pending" : "approved";
+
+    // Insert into database
+    const stmt = db.prepare(`
+      INSERT INTO users (
+        id, name, image_path, image_url, image_variants, status, original_filename,
+        content_hash, perceptual_hash, duplicate_of
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const variantsJson = JSON.stringify(variants);
+
+    stmt.run(
+      [
+        userId,
+        name.trim(),
+        imagePath,
+        imageUrl,
+        variantsJson,
+        status,
+        req.file.originalname,
+        hashes.contentHash,
+        hashes.perceptualHash,
+        duplicate ? duplicate.id : null,
+      ],
+      async function (err) {
+        if (err) {
+          console.error("Error inserting user:", err.message);
+
+          // Clean up stored images on error
+          await purgeImages(
+            storedImagePaths({
+              image_path: imagePath,
+              image_variants: variantsJson,
+            })
+          );
+
+          res.status(500).json({
+            success: false,
+            error: "Internal server error",
+          });
+        } else {
+          const userData = {
+            id: userId,
+            name: name.trim(),
+            image_url: imageUrl,
+            variants: variantUrls(variantsJson),
+            status,
+            duplicate_of: duplicate ? duplicate.id : null,
+            created_at: new Date().toISOString(),
+            storage_type: storage.name,
+          };
+
+          console.log(`✅ New submission: ${userData.name} (${status})`);
+          if (duplicate) {
+            console.log(
+              `⚠️ Possible duplicate of ${duplicate.id} (distance ${duplicate.distance})`
+            );
+          }
+
+          res.status(201).json({
+            success: true,
+            message:
+              status === "pending"
+                ? "Form submitted successfully - awaiting approval"
+                : "Form submitted successfully",
+            data: userData,
+          });
+        }
+      }
+    );
+
+    stmt.finalize();
+  } catch (error) {
+    console.error("Error in form submission:", error.message);
+
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+}
+
+// Submit form with image upload
+app.post("/api/submit", upload.single("image"), handleSubmission);
+
+// ==================== RESUMABLE UPLOAD API ROUTES ====================
+//
+// 1. POST /api/uploads                       { filename, size, content_type }
+// 2. PUT  /api/uploads/:uploadId/chunks/:n   raw bytes of chunk n (0-based)
+// 3. GET  /api/uploads/:uploadId             current offset after a drop
+// 4. POST /api/uploads/:uploadId/complete    { name } -> same as /api/submit
+
+const MIN_CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Uploads with a chunk request in flight, so two retries can't both append
+const activeChunkUploads = new Set();
+
+function uploadSessionStatus(session, offset) {
+  return {
+    upload_id: session.id,
+    size: session.size,
+    chunk_size: session.chunk_size,
+    total_chunks: chunkCount(session.size, session.chunk_size),
+    offset,
+    next_chunk: Math.ceil(offset / session.chunk_size),
+    complete: offset === session.size,
+  };
+}
+
+// Start a resumable upload session
+app.post("/api/uploads", async (req, res) => {
+  const { filename, content_type, name } = req.body;
+  const size = Number(req.body.size);
+
+  if (
+    typeof filename !== "string" ||
+    typeof content_type !== "string" ||
+    (name !== undefined && name !== null && typeof name !== "string")
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "filename, content_type and name must be text",
+    });
+  }
+  const chunkSize = Math.min(
+    Math.max(Number(req.body.chunk_size) || DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE),
+    MAX_CHUNK_SIZE
+  );
+
+  if (
+    !filename ||
+    !content_type ||
+    !isAllowedImage({ originalname: filename, mimetype: content_type })
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: INVALID_IMAGE_TYPE,
+      code: "UNSUPPORTED_FILE_TYPE",
+    });
+  }
+
+  if (!Number.isInteger(size) || size < 1) {
+    return res.status(400).json({
+      success: false,
+      error: "size must be the file size in bytes",
+    });
+  }
+
+  if (size > MAX_UPLOAD_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: "File too large. Maximum size is 10MB.",
+      code: "FILE_TOO_LARGE",
+    });
+  }
+
+  try {
+    const uploadId = uuidv4();
+    const now = new Date().toISOString();
+
+    await chunkStore.create(uploadId);
+    await dbRun(
+      `INSERT INTO upload_sessions
+         (id, filename, content_type, size, chunk_size, name, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [uploadId, filename, content_type, size, chunkSize, name || null, now, now]
+    );
+
+    const session = { id: uploadId, size, chunk_size: chunkSize };
+    res.status(201).json({
+      success: true,
+      ...uploadSessionStatus(session, 0),
+    });
+  } catch (error) {
+    console.error("Error creating upload session:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Get an upload session's offset so a client can resume
+app.get("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const session = await dbGet("SELECT * FROM upload_sessions WHERE id = ?", [
+      req.params.uploadId,
+    ]);
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Upload session not found" });
+    }
+
+    const offset = await chunkStore.offset(session.id);
+    res.json({ success: true, ...uploadSessionStatus(session, offset) });
+  } catch (error) {
+    console.error("Error fetching upload session:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Receive chunk :index. Chunks must arrive in order; resending a chunk we
+// already have is harmless, so clients can retry after a lost response.
+app.put(
+  "/api/uploads/:uploadId/chunks/:index",
+  express.raw({ type: "*/*", limit: MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    const { uploadId } = req.params;
+    const index = Number(req.params.index);
+
+    if (activeChunkUploads.has(uploadId)) {
+      return res.status(409).json({
+        success: false,
+        error: "Another chunk is being uploaded for this session",
+      });
+    }
+
+    activeChunkUploads.add(uploadId);
+    try {
+      const session = await dbGet(
+        "SELECT * FROM upload_sessions WHERE id = ?",
+        [uploadId]
+      );
+      if (!session) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Upload session not found" });
+      }
+      if (session.status !== "open") {
+        return res
+          .status(409)
+          .json({ success: false, error: "Upload is already complete" });
+      }
+
+      const offset = await chunkStore.offset(uploadId);
+      const status = uploadSessionStatus(session, offset);
+
+      if (Number.isInteger(index) && index >= 0 && index < status.next_chunk) {
+        return res.json({ success: true, duplicate: true, ...status });
+      }
+
+      if (index !== status.next_chunk || status.complete) {
+        return res.status(409).json({
+          success: false,
+          error: `Expected chunk ${status.next_chunk}`,
+          ...status,
+        });
+      }
+
+      const expectedLength = expectedChunkLength(
+        session.size,
+        session.chunk_size,
+        index
+      );
+      if (!Buffer.isBuffer(req.body) || req.body.length !== expectedLength) {
+        return res.status(400).json({
           success: false,
-          error: imageValidation.message,
+          error: `Chunk ${index} must be ${expectedLength} bytes`,
+          ...status,
         });
       }
 
-      console.log(`📁 Image uploaded locally: ${imageUrl}`);
+      await chunkStore.append(uploadId, req.body);
+      await dbRun("UPDATE upload_sessions SET updated_at = ? WHERE id = ?", [
+        new Date().toISOString(),
+        uploadId,
+      ]);
+
+      res.json({
+        success: true,
+        ...uploadSessionStatus(session, offset + req.body.length),
+      });
+    } catch (error) {
+      console.error("Error storing upload chunk:", error.message);
+      res.status(500).json({ success: false, error: "Internal server error" });
+    } finally {
+      activeChunkUploads.delete(uploadId);
     }
+  }
+);
 
-    // Insert into database
-    const stmt = db.prepare(`
-      INSERT INTO users (id, name, image_path, image_url)
-      VALUES (?, ?, ?, ?)
+// Answer for a session someone else already completed or is completing
+function sendCompletedUpload(session, res) {
+  if (session.status === "completed" && session.result) {
+    const { status, body } = JSON.parse(session.result);
+    return res.status(status).json(body);
+  }
+  res.set("Retry-After", "2");
+  res.status(503).json({
+    success: false,
+    error: "Upload is still being completed - try again shortly",
+  });
+}
+
+// Reassemble the chunks and submit them like /api/submit. The session is
+// claimed first, so concurrent completes submit it once, and its response is
+// kept so a client retrying after a lost answer gets the same one.
+app.post("/api/uploads/:uploadId/complete", async (req, res) => {
+  try {
+    const session = await dbGet("SELECT * FROM upload_sessions WHERE id = ?", [
+      req.params.uploadId,
+    ]);
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Upload session not found" });
+    }
+    if (session.status !== "open") return sendCompletedUpload(session, res);
+
+    const offset = await chunkStore.offset(session.id);
+    if (offset !== session.size) {
+      return res.status(409).json({
+        success: false,
+        error: "Upload is not complete",
+        ...uploadSessionStatus(session, offset),
+      });
+    }
+
+    const claim = await dbRun(
+      "UPDATE upload_sessions SET status = 'completing', updated_at = ? WHERE id = ? AND status = 'open'",
+      [new Date().toISOString(), session.id]
+    );
+    if (claim.changes === 0) {
+      const current = await dbGet("SELECT * FROM upload_sessions WHERE id = ?", [
+        session.id,
+      ]);
+      if (!current) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Upload session not found" });
+      }
+      return sendCompletedUpload(current, res);
+    }
+
+    let buffer;
+    try {
+      buffer = await chunkStore.read(session.id);
+    } catch (error) {
+      await reopenUploadSession(session.id);
+      throw error;
+    }
+    req.file = {
+      buffer,
+      size: buffer.length,
+      originalname: session.filename,
+      mimetype: session.content_type,
+    };
+    req.body = { ...req.body, name: req.body.name || session.name };
+
+    // Keep the response for retries once it's final - the upload was
+    // accepted, or its image was refused (those carry a code). Anything else,
+    // like a missing name or a server error, reopens the session so the
+    // client can fix the request and complete again.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const final =
+        res.statusCode < 400 || (res.statusCode < 500 && !!body?.code);
+      const saved = final
+        ? finishUploadSession(session.id, { status: res.statusCode, body })
+        : reopenUploadSession(session.id);
+      saved.finally(() => sendJson(body));
+      return res;
+    };
+
+    await handleSubmission(req, res);
+  } catch (error) {
+    console.error("Error completing upload:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Abandon an upload session
+app.delete("/api/uploads/:uploadId", async (req, res) => {
+  try {
+    const session = isUploadId(req.params.uploadId)
+      ? await dbGet("SELECT id FROM upload_sessions WHERE id = ?", [
+          req.params.uploadId,
+        ])
+      : null;
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Upload session not found" });
+    }
+
+    await removeUploadSession(session.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error removing upload session:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Record a completed session's response; its chunks aren't needed any more
+async function finishUploadSession(uploadId, result) {
+  try {
+    await dbRun(
+      "UPDATE upload_sessions SET status = 'completed', result = ?, updated_at = ? WHERE id = ?",
+      [JSON.stringify(result), new Date().toISOString(), uploadId]
+    );
+    await chunkStore.remove(uploadId);
+  } catch (error) {
+    console.error(`Error finishing upload session ${uploadId}:`, error.message);
+  }
+}
+
+async function reopenUploadSession(uploadId) {
+  try {
+    await dbRun(
+      "UPDATE upload_sessions SET status = 'open', updated_at = ? WHERE id = ? AND status = 'completing'",
+      [new Date().toISOString(), uploadId]
+    );
+  } catch (error) {
+    console.error(`Error reopening upload session ${uploadId}:`, error.message);
+  }
+}
+
+async function removeUploadSession(uploadId) {
+  try {
+    await chunkStore.remove(uploadId);
+    await dbRun("DELETE FROM upload_sessions WHERE id = ?", [uploadId]);
+  } catch (error) {
+    console.error(`Error removing upload session ${uploadId}:`, error.message);
+  }
+}
+
+// Drop sessions nobody has touched within SESSION_TTL_MS
+async function purgeStaleUploads() {
+  const cutoff = new Date(Date.now() - SESSION_TTL_MS).toISOString();
+  const stale = await dbAll(
+    "SELECT id FROM upload_sessions WHERE updated_at < ?",
+    [cutoff]
+  );
+
+  for (const session of stale) {
+    await removeUploadSession(session.id);
+  }
+  if (stale.length > 0) {
+    console.log(`🧹 Removed ${stale.length} abandoned upload sessions`);
+  }
+}
+
+// Clear the gallery. Submissions go to the trash unless ?permanent=true,
+// which also removes their stored images right away.
+app.delete("/api/users", async (req, res) => {
+  try {
+    if (req.query.permanent === "true") {
+      const users = await dbAll(
+        "SELECT id, image_path, image_variants FROM users"
+      );
+      await purgeUsers(users);
+
+      console.log(`✅ Cleared ${users.length} users and their images`);
+      return res.json({
+        success: true,
+        message: `Cleared ${users.length} images`,
+      });
+    }
+
+    const result = await dbRun(
+      "UPDATE users SET deleted_at = ? WHERE deleted_at IS NULL",
+      [new Date().toISOString()]
+    );
+
+    console.log(`🗑️ Moved ${result.changes} users to trash`);
+    res.json({
+      success: true,
+      message: `Moved ${result.changes} images to trash`,
+      trashed: result.changes,
+    });
+  } catch (error) {
+    console.error("Error clearing users:", error);
+    res.status(500).json({ success: false, error: "Failed to clear gallery" });
+  }
+});
+
+// Delete one submission - to the trash unless ?permanent=true
+app.delete("/api/users/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await dbGet(
+      "SELECT id, name, image_path, image_variants, deleted_at FROM users WHERE id = ?",
+      [id]
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    if (req.query.permanent === "true") {
+      await purgeUsers([user]);
+      console.log(`✅ Permanently deleted user: ${user.name} (ID: ${id})`);
+      return res.json({ success: true, message: "Submission deleted" });
+    }
+
+    if (user.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    await dbRun("UPDATE users SET deleted_at = ? WHERE id = ?", [
+      new Date().toISOString(),
+      id,
+    ]);
+
+    console.log(`🗑️ Moved user to trash: ${user.name} (ID: ${id})`);
+    res.json({ success: true, message: "Submission moved to trash" });
+  } catch (error) {
+    console.error("Error deleting user:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// ==================== TRASH API ROUTES ====================
+
+// List trashed submissions and when each will be purged
+app.get("/api/trash", async (req, res) => {
+  try {
+    const retentionDays = await getNumberConfig("trash_retention_days", {
+      max: MAX_RETENTION_DAYS,
+    });
+    const rows = await dbAll(`
+      SELECT 
+        id, 
+        name,
+        image_url,
+        image_variants,
+        status,
+        created_at,
+        deleted_at
+      FROM users 
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
     `);
 
-    stmt.run([userId, name.trim(), imagePath, imageUrl], function (err) {
-      if (err) {
-        console.error("Error inserting user:", err.message);
-
-        // Clean up uploaded file on error (local only)
-        if (!USE_SPACES && req.file && req.file.path) {
-          try {
-            fs.unlinkSync(req.file.path);
-          } catch (unlinkErr) {
-            console.error("Error cleaning up file:", unlinkErr.message);
-          }
-        }
+    res.json({
+      success: true,
+      data: rows.map((row) => ({
+        ...formatUser(row),
+        purge_after: new Date(
+          Date.parse(row.deleted_at) + retentionDays * DAY_MS
+        ).toISOString(),
+      })),
+      count: rows.length,
+      retention_days: retentionDays,
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Restore one (`id`) or many (`ids`) trashed submissions
+app.post("/api/trash/restore", async (req, res) => {
+  const { id, ids } = req.body;
+  const targetIds = ids || (id ? [id] : []);
+
+  if (!Array.isArray(targetIds) || targetIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "id or ids is required",
+    });
+  }
+
+  if (
+    req.body.reason !== undefined &&
+    req.body.reason !== null &&
+    typeof req.body.reason !== "string"
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "Reason must be text",
+    });
+  }
+
+  const reason = (req.body.reason || "").trim();
+  if (reason.length > MAX_MODERATION_REASON_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Reason must be at most ${MAX_MODERATION_REASON_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const uniqueIds = [...new Set(targetIds)];
+    const placeholders = uniqueIds.map(() => "?").join(", ");
+    const result = await dbRun(
+      `UPDATE users SET deleted_at = NULL
+       WHERE id IN (${placeholders}) AND deleted_at IS NOT NULL`,
+      uniqueIds
+    );
+
+    console.log(`♻️ Restored ${result.changes} users from trash`);
+    res.json({
+      success: true,
+      restored: result.changes,
+      not_found: uniqueIds.length - result.changes,
+    });
+  } catch (error) {
+    console.error("Error restoring users:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Purge trashed submissions past the retention period, or the whole trash
+// with { "all": true }
+app.post("/api/trash/purge", async (req, res) => {
+  try {
+    const purged = await purgeTrash({ all: req.body.all === true });
+    res.json({ success: true, purged });
+  } catch (error) {
+    console.error("Error purging trash:", error.message);
+    res.status(500).json({ success: false, error: "Failed to purge trash" });
+  }
+});
+
+// Download every submission image as a ZIP with a CSV/JSON manifest.
+// Query: created_after, created_before, status (moderation status or "all")
+app.get("/api/export", async (req, res) => {
+  let query;
+  try {
+    query = buildExportQuery({
+      createdAfter: req.query.created_after,
+      createdBefore: req.query.created_before,
+      status: req.query.status,
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  try {
+    const rows = await dbAll(query.sql, query.params);
+    const filename = `gallery-export-${new Date()
+      .toISOString()
+      .slice(0, 10)}.zip`;
+
+    res.attachment(filename);
+    res.type("application/zip");
+
+    const manifest = await writeGalleryExport({ rows, storage, output: res });
+    console.log(`📦 Exported ${manifest.length} submissions`);
+  } catch (error) {
+    console.error("Error exporting gallery:", error.message);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ success: false, error: "Export failed" });
+    }
+  }
+});
+
+// ==================== DUPLICATES API ROUTES ====================
+
+// Clusters of likely duplicate submissions, oldest first within each cluster.
+// Query: threshold (bits, defaults to duplicate_threshold)
+app.get("/api/duplicates", async (req, res) => {
+  try {
+    const threshold =
+      req.query.threshold !== undefined
+        ? parseInt(req.query.threshold, 10)
+        : await getNumberConfig("duplicate_threshold", { max: MAX_HASH_DISTANCE });
+
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > MAX_HASH_DISTANCE) {
+      return res.status(400).json({
+        success: false,
+        error: "Threshold must be between 0 and 64",
+      });
+    }
+
+    const rows = await dbAll(`
+      SELECT 
+        id, 
+        name,
+        image_url,
+        image_variants,
+        status,
+        content_hash,
+        perceptual_hash,
+        duplicate_of,
+        created_at
+      FROM users 
+      WHERE deleted_at IS NULL AND perceptual_hash IS NOT NULL
+      ORDER BY created_at ASC, id ASC
+    `);
+
+    const clusters = clusterDuplicates(rows, threshold).map((group) => ({
+      size: group.length,
+      items: group.map(({ content_hash, ...row }) => formatUser(row)),
+    }));
+
+    res.json({
+      success: true,
+      data: clusters,
+      count: clusters.length,
+      threshold,
+    });
+  } catch (error) {
+    console.error("Error finding duplicates:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// ==================== MODERATION API ROUTES ====================
+
+const SUBMISSION_STATUSES = ["pending", "approved", "rejected", "hidden"];
+
+// Moderation actions and the status each one sets
+const MODERATION_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  hide: "hidden",
+  requeue: "pending",
+};
+
+const MAX_MODERATION_REASON_LENGTH = 500;
+
+// Get submissions in the moderation queue (default: pending)
+app.get("/api/moderation", async (req, res) => {
+  const status = req.query.status || "pending";
+
+  if (status !== "all" && !SUBMISSION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `Status must be one of: all, ${SUBMISSION_STATUSES.join(", ")}`,
+    });
+  }
+
+  try {
+    const rows = await dbAll(
+      `
+      SELECT 
+        id, 
+        name,
+        image_url,
+        image_variants,
+        status,
+        moderation_reason,
+        moderated_at,
+        duplicate_of,
+        created_at
+      FROM users 
+      WHERE deleted_at IS NULL
+      ${status === "all" ? "" : "AND status = ?"}
+      ORDER BY created_at ASC
+    `,
+      status === "all" ? [] : [status]
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(formatUser),
+      count: rows.length,
+      moderation_enabled: (await getConfig("moderation_enabled")) === "true",
+    });
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// Approve / reject / hide / requeue one (`id`) or many (`ids`) submissions
+app.post("/api/moderation/:action", async (req, res) => {
+  const status = Object.hasOwn(MODERATION_ACTIONS, req.params.action)
+    ? MODERATION_ACTIONS[req.params.action]
+    : null;
+  const { id, ids } = req.body;
+  const targetIds = ids || (id ? [id] : []);
+
+  if (!status) {
+    return res.status(400).json({
+      success: false,
+      error: `Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(
+        ", "
+      )}`,
+    });
+  }
+
+  if (!Array.isArray(targetIds) || targetIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "id or ids is required",
+    });
+  }
+
+  if (
+    req.body.reason !== undefined &&
+    req.body.reason !== null &&
+    typeof req.body.reason !== "string"
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "Reason must be text",
+    });
+  }
+
+  const reason = (req.body.reason || "").trim();
+  if (reason.length > MAX_MODERATION_REASON_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Reason must be at most ${MAX_MODERATION_REASON_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const uniqueIds = [...new Set(targetIds)];
+    const placeholders = uniqueIds.map(() => "?").join(", ");
+    const result = await dbRun(
+      `UPDATE users
+       SET status = ?, moderation_reason = ?, moderated_at = ?
+       WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+      [status, reason || null, new Date().toISOString(), ...uniqueIds]
+    );
+
+    console.log(
+      `🛡️ Moderation: ${result.changes} submission(s) → ${status}${
+        reason ? ` (${reason})` : ""
+      }`
+    );
+
+    res.json({
+      success: true,
+      status,
+      updated: result.changes,
+      not_found: uniqueIds.length - result.changes,
+    });
+  } catch (error) {
+    console.error("Error moderating submissions:", error.message);
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
+// ==================== LIVE EVENTS ====================
+
+// Results screens subscribe here instead of polling /api/votes
+const events = createEventBus();
+const EVENT_TYPES = [
+  "vote",
+  "vote_deleted",
+  "pending_vote",
+  "round",
+  "donation",
+  "donation_deleted",
+  "broadcast",
+];
+const HEARTBEAT_INTERVAL = 25000;
+
+// Server-Sent Events stream. ?types=vote,donation narrows it down; resume
+// with the Last-Event-ID header (sent by EventSource) or ?lastEventId=.
+app.get("/api/events", (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(",").filter(Boolean)
+    : null;
+  const unknown = (types || []).filter((type) => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown event type(s): ${unknown.join(", ")}. Use ${EVENT_TYPES.join(", ")}`,
+    });
+  }
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop nginx buffering the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const unsubscribe = events.subscribe(res, {
+    lastEventId: lastEventId ? Number(lastEventId) : null,
+    types,
+  });
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// ==================== VOTING API ROUTES ====================
+
+// Ballot for `round`: its own options, else the latest earlier round's,
+// else the default A-F
+async function getBallot(round) {
+  const options = await dbAll(
+    `SELECT b.key, b.label, b.image_url, b.position, b.submission_id,
+            u.image_url AS submission_image_url,
+            u.image_variants AS submission_variants
+     FROM ballot_options b
+     LEFT JOIN users u ON u.id = b.submission_id
+     WHERE b.round = (SELECT MAX(round) FROM ballot_options WHERE round <= ?)
+     ORDER BY b.position`,
+    [round]
+  );
+  if (options.length === 0) return DEFAULT_BALLOT;
+
+  // Options linked to a submission show its current image (it may have been
+  // replaced since the ballot was built)
+  return options.map(
+    ({ submission_image_url, submission_variants, ...option }) => ({
+      ...option,
+      image_url:
+        variantUrls(submission_variants)?.medium?.jpeg ||
+        submission_image_url ||
+        option.image_url,
+    })
+  );
+}
+
+const formatBallot = (ballot) =>
+  ballot.map(({ key, label, image_url, submission_id }) => ({
+    key,
+    label,
+    image_url,
+    ...(submission_id && { submission_id }),
+  }));
+
+// Fill in label and image for options linked to gallery submissions. Only
+// approved, non-deleted submissions can go on a ballot. Resolves with an
+// error message for unknown submissions, or null.
+async function linkSubmissions(options) {
+  const ids = [
+    ...new Set(options.filter((o) => o?.submission_id).map((o) => String(o.submission_id))),
+  ];
+  if (ids.length === 0) return null;
+
+  const rows = await dbAll(
+    `SELECT id, name, image_url, image_variants FROM users
+     WHERE id IN (${ids.map(() => "?").join(", ")})
+       AND status = 'approved' AND deleted_at IS NULL`,
+    ids
+  );
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length > 0) {
+    return `Not in the gallery: ${missing.join(", ")}`;
+  }
+
+  for (const option of options) {
+    const submission = option?.submission_id && byId.get(String(option.submission_id));
+    if (!submission) continue;
+    option.label = option.label || submission.name;
+    option.image_url =
+      option.image_url ||
+      variantUrls(submission.image_variants)?.medium?.jpeg ||
+      submission.image_url;
+  }
+  return null;
+}
+
+// Validate and store a round's ballot. Returns { statusCode, body } for the
+// route to send.
+async function saveBallot(requestedRound, rawOptions) {
+  if (Array.isArray(rawOptions)) {
+    const linkError = await linkSubmissions(rawOptions);
+    if (linkError) {
+      return { statusCode: 400, body: { success: false, error: linkError } };
+    }
+  }
+
+  const result = validateBallot(rawOptions);
+  if (!result.valid) {
+    return { statusCode: 400, body: { success: false, error: result.error } };
+  }
+
+  const config = await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+  const currentRound = config?.current_round || 1;
+  const round = Number(requestedRound) || currentRound;
+
+  if (!Number.isInteger(round) || round < currentRound) {
+    return {
+      statusCode: 409,
+      body: { success: false, error: "Cannot change the ballot of a finished round" },
+    };
+  }
+
+  const voteCount = await dbGet(
+    "SELECT COUNT(*) AS count FROM votes WHERE round = ?",
+    [round]
+  );
+  if (voteCount.count > 0) {
+    return {
+      statusCode: 409,
+      body: {
+        success: false,
+        error: "Cannot change the ballot once the round has votes",
+      },
+    };
+  }
+
+  await inTransaction(async () => {
+    await dbRun("DELETE FROM ballot_options WHERE round = ?", [round]);
+    for (const option of result.options) {
+      await dbRun(
+        `INSERT INTO ballot_options (round, key, label, image_url, position, submission_id)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          round,
+          option.key,
+          option.label,
+          option.image_url,
+          option.position,
+          option.submission_id,
+        ]
+      );
+    }
+  });
+
+  console.log(`🗳️ Ballot set for round ${round}: ${result.options.length} options`);
+  return {
+    statusCode: 200,
+    body: { success: true, round, options: formatBallot(result.options) },
+  };
+}
+
+// Tally a live round's votes in its mode
+async function roundResult(round) {
+  const votes = await dbAll(
+    "SELECT letter, choices FROM votes WHERE round = ?",
+    [round]
+  );
+  const { mode } = await getRoundSettings(round);
+  return tallyRound(await getBallot(round), votes, mode);
+}
+
+// Stored form of a vote's options: JSON only when there is more than one
+const choicesColumn = (choices) =>
+  choices.length > 1 ? JSON.stringify(choices) : null;
+
+// Push an accepted vote with the round's updated tallies. Phone numbers stay
+// off the public stream.
+async function publishVote(vote) {
+  const result = await roundResult(vote.round);
+  events.publish("vote", {
+    id: vote.id,
+    letter: vote.letter,
+    choices: voteChoices(vote),
+    round: vote.round,
+    created_at: vote.created_at,
+    changed_from: vote.changed_from || null,
+    tallies: result.tallies,
+    winners: result.winners,
+  });
+}
+
+// Push a removed vote with the round's updated tallies
+async function publishVoteDeleted(vote) {
+  const result = await roundResult(vote.round);
+  events.publish("vote_deleted", {
+    id: vote.id,
+    round: vote.round,
+    tallies: result.tallies,
+    winners: result.winners,
+  });
+}
+
+function publishPendingVote(vote) {
+  events.publish("pending_vote", {
+    id: vote.id,
+    letter: vote.letter,
+    choices: voteChoices(vote),
+    created_at: vote.created_at,
+  });
+}
+
+// Round status or schedule change. archivedRound is set when the round's
+// votes were just moved to voting_history.
+function publishRound({
+  round,
+  status,
+  previousStatus,
+  archivedRound = null,
+  opensAt = null,
+  closesAt = null,
+}) {
+  events.publish("round", {
+    round,
+    status,
+    previous_status: previousStatus,
+    archived_round: archivedRound,
+    opens_at: opensAt,
+    closes_at: closesAt,
+  });
+}
+
+// Settings for `round`: its own, else the latest earlier round's, else the
+// defaults
+async function getRoundSettings(round) {
+  const row = await dbGet(
+    `SELECT * FROM round_settings WHERE round <= ?
+     ORDER BY round DESC LIMIT 1`,
+    [round]
+  );
+  const settings = { ...DEFAULT_ROUND_SETTINGS };
+  for (const key of Object.keys(settings)) {
+    if (row && row[key] !== null && row[key] !== undefined) settings[key] = row[key];
+  }
+  return settings;
+}
+
+// Count pending votes in `round`: each must still be on the ballot, and the
+// usual one vote per phone applies (earliest pending vote first). Accepted
+// and duplicate pending votes are removed from pending_votes.
+async function acceptPendingVotes(pendingVotes, round) {
+  const ballot = await getBallot(round);
+  const { mode, max_selections: maxSelections } = await getRoundSettings(round);
+  const result = { accepted: 0, duplicates: 0, invalid: 0 };
+
+  const ordered = [...pendingVotes].sort((a, b) =>
+    a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : a.id - b.id
+  );
+
+  for (const pending of ordered) {
+    const parsed = parseChoices(ballot, voteChoices(pending).join(" "), {
+      mode,
+      maxSelections,
+    });
+    if (!parsed.valid) {
+      // Left for an admin to reject - the ballot changed since it arrived
+      result.invalid++;
+      continue;
+    }
+    const { choices } = parsed;
+
+    const existing = await dbGet(
+      "SELECT id FROM votes WHERE phone_number = ? AND round = ?",
+      [pending.phone_number, round]
+    );
+
+    if (existing) {
+      result.duplicates++;
+    } else {
+      const inserted = await dbRun(
+        "INSERT INTO votes (phone_number, letter, choices, round, created_at) VALUES (?, ?, ?, ?, ?)",
+        [
+          pending.phone_number,
+          choices[0],
+          choicesColumn(choices),
+          round,
+          pending.created_at,
+        ]
+      );
+      result.accepted++;
+      await publishVote({
+        id: inserted.lastID,
+        letter: choices[0],
+        choices: choicesColumn(choices),
+        round,
+        created_at: pending.created_at,
+      });
+    }
+
+    await dbRun("DELETE FROM pending_votes WHERE id = ?", [pending.id]);
+  }
+
+  return result;
+}
+
+// Apply the round's pending_policy when it starts running
+async function applyPendingPolicy(round) {
+  const { pending_policy: policy } = await getRoundSettings(round);
+  const pendingVotes = await dbAll("SELECT * FROM pending_votes");
+
+  if (policy === "promote") {
+    const result = await acceptPendingVotes(pendingVotes, round);
+    console.log(
+      `📥 Promoted ${result.accepted} pending vote(s) into round ${round} (${result.duplicates} duplicate)`
+    );
+    return { policy, ...result };
+  }
+
+  if (policy === "discard") {
+    const result = await dbRun("DELETE FROM pending_votes");
+    console.log(`🗑️ Discarded ${result.changes} pending vote(s) on voting start`);
+    return { policy, discarded: result.changes };
+  }
+
+  // review: leave them for an admin
+  return { policy, held: pendingVotes.length };
+}
+
+// ---- Phone numbers, blocklist and vote velocity ----
+
+// E.164 form of a number from a request or webhook, or null
+async function toE164(raw) {
+  return normalizePhone(raw, await getConfig("default_country_code"));
+}
+
+// Blocklist entry covering `phone` - the number itself or a prefix of it
+function findBlock(phone) {
+  return dbGet(
+    `SELECT * FROM blocklist
+     WHERE value = ? OR (is_prefix = 1 AND substr(?, 1, length(value)) = value)
+     ORDER BY is_prefix ASC LIMIT 1`,
+    [phone, phone]
+  );
+}
+
+const voteLimiter = createRateLimiter();
+
+// Longest velocity or burst window, and the most digits a prefix can have
+// (E.164 numbers have at most 15)
+const MAX_VELOCITY_WINDOW_SECONDS = 24 * 60 * 60;
+const MAX_PREFIX_DIGITS = 15;
+
+const getPrefixDigits = () =>
+  getNumberConfig("phone_prefix_digits", { max: MAX_PREFIX_DIGITS });
+
+// Velocity limits on vote attempts. Resolves with null, or { scope, retryAfter }
+// when the number ("number") or its range ("prefix") is over its limit.
+async function checkVoteVelocity(phone) {
+  const windowMs =
+    (await getNumberConfig("velocity_window_seconds", {
+      max: MAX_VELOCITY_WINDOW_SECONDS,
+    })) * 1000;
+  const prefix = phonePrefix(phone, await getPrefixDigits());
+
+  const byNumber = voteLimiter.hit(
+    `number:${phone}`,
+    await getNumberConfig("vote_limit_per_number"),
+    windowMs
+  );
+  if (!byNumber.allowed) return { scope: "number", retryAfter: byNumber.retryAfter };
+
+  const byPrefix = voteLimiter.hit(
+    `prefix:${prefix}`,
+    await getNumberConfig("vote_limit_per_prefix"),
+    windowMs
+  );
+  if (!byPrefix.allowed) return { scope: "prefix", retryAfter: byPrefix.retryAfter };
+
+  return null;
+}
+
+// Why a new vote from `phone` in `round` looks like part of a burst - its
+// prefix already has burst_threshold votes (counted or quarantined) within
+// burst_window_seconds - or null if it doesn't
+async function burstReason(phone, round) {
+  const threshold = await getNumberConfig("burst_threshold");
+  if (!threshold) return null;
+
+  const windowSeconds = await getNumberConfig("burst_window_seconds", {
+    max: MAX_VELOCITY_WINDOW_SECONDS,
+  });
+  const prefix = phonePrefix(phone, await getPrefixDigits());
+  const since = new Date(Date.now() - windowSeconds * 1000).toISOString();
+  const params = [round, since, prefix.length, prefix];
+
+  const { count } = await dbGet(
+    `SELECT
+       (SELECT COUNT(*) FROM votes
+        WHERE round = ? AND created_at >= ? AND substr(phone_number, 1, ?) = ?) +
+       (SELECT COUNT(*) FROM quarantined_votes
+        WHERE round = ? AND created_at >= ? AND substr(phone_number, 1, ?) = ?)
+       AS count`,
+    [...params, ...params]
+  );
+  return count >= threshold
+    ? `Burst: ${count} votes from ${prefix}* within ${windowSeconds}s`
+    : null;
+}
+
+// Record a vote for `choices` (ballot keys, in order) in a running round,
+// applying the round's change_mode to repeat votes. Resolves with { outcome,
+// vote, previousChoices, changesLeft } where outcome is "accepted",
+// "changed", "unchanged" (same options again), "duplicate" (the earlier
+// vote stands) or "quarantined" (held back as part of a burst).
+async function castVote(phoneNumber, choices, round) {
+  const existing = await dbGet(
+    "SELECT * FROM votes WHERE phone_number = ? AND round = ?",
+    [phoneNumber, round]
+  );
+  const now = new Date().toISOString();
+  const letter = choices[0];
+  const label = choices.join(",");
+
+  if (!existing) {
+    // A number already in quarantine stays there for the round
+    const quarantined = await dbGet(
+      "SELECT * FROM quarantined_votes WHERE phone_number = ? AND round = ?",
+      [phoneNumber, round]
+    );
+    if (quarantined) return { outcome: "quarantined", vote: quarantined };
+
+    const reason = await burstReason(phoneNumber, round);
+    if (reason) {
+      const inserted = await dbRun(
+        `INSERT INTO quarantined_votes (phone_number, letter, choices, round, reason, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [phoneNumber, letter, choicesColumn(choices), round, reason, now]
+      );
+      console.log(`🚩 Vote quarantined: ${phoneNumber} → ${label} (${reason})`);
+      return {
+        outcome: "quarantined",
+        vote: {
+          id: inserted.lastID,
+          letter,
+          choices: choicesColumn(choices),
+          round,
+          created_at: now,
+        },
+      };
+    }
+
+    const inserted = await dbRun(
+      "INSERT INTO votes (phone_number, letter, choices, round, created_at) VALUES (?, ?, ?, ?, ?)",
+      [phoneNumber, letter, choicesColumn(choices), round, now]
+    );
+    const vote = {
+      id: inserted.lastID,
+      letter,
+      choices: choicesColumn(choices),
+      round,
+      created_at: now,
+    };
+    console.log(`✅ Vote: ${phoneNumber} → ${label}`);
+    await publishVote(vote);
+    return { outcome: "accepted", vote };
+  }
+
+  const { change_mode: mode, max_changes: maxChanges } =
+    await getRoundSettings(round);
+  const { count: changes } = await dbGet(
+    "SELECT COUNT(*) AS count FROM vote_changes WHERE vote_id = ?",
+    [existing.id]
+  );
+  const changesLeft = mode === "limited" ? maxChanges - changes : null;
+  const previousChoices = voteChoices(existing);
+
+  if (previousChoices.join(",") === label) {
+    return { outcome: "unchanged", vote: existing, changesLeft };
+  }
+  if (mode === "first_wins" || (mode === "limited" && changesLeft <= 0)) {
+    console.log(`⚠️ Duplicate vote: ${phoneNumber}`);
+    return { outcome: "duplicate", vote: existing, changesLeft };
+  }
+
+  await dbRun(
+    "UPDATE votes SET letter = ?, choices = ?, updated_at = ? WHERE id = ?",
+    [letter, choicesColumn(choices), now, existing.id]
+  );
+  await dbRun(
+    `INSERT INTO vote_changes (vote_id, round, phone_number, old_letter, new_letter, changed_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [existing.id, round, phoneNumber, previousChoices.join(","), label, now]
+  );
+
+  const vote = {
+    ...existing,
+    letter,
+    choices: choicesColumn(choices),
+    updated_at: now,
+  };
+  console.log(
+    `🔁 Vote changed: ${phoneNumber} → ${previousChoices.join(",")} → ${label}`
+  );
+  await publishVote({ ...vote, changed_from: previousChoices.join(",") });
+  return {
+    outcome: "changed",
+    vote,
+    previousChoices,
+    changesLeft: changesLeft === null ? null : changesLeft - 1,
+  };
+}
+
+// Get votes
+app.get("/api/votes", async (req, res) => {
+  try {
+    const votes = await dbAll("SELECT * FROM votes ORDER BY created_at DESC");
+    const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+    const history = await dbAll(
+      "SELECT * FROM voting_history ORDER BY ended_at DESC"
+    );
+    // Also fetch pending votes
+    const pendingVotes = await dbAll(
+      "SELECT * FROM pending_votes ORDER BY created_at DESC"
+    );
+
+    const currentRound = config?.current_round || 1;
+    const ballot = await getBallot(currentRound);
+    const { mode } = await getRoundSettings(currentRound);
+    const result = tallyRound(
+      ballot,
+      votes.filter((vote) => vote.round === currentRound),
+      mode
+    );
+
+    const roundHistory = [];
+    for (const h of history) {
+      const roundVotes = JSON.parse(h.votes_json);
+      const roundBallot = await getBallot(h.round);
+      const roundMode = (await getRoundSettings(h.round)).mode;
+      const { tallies, ...roundResult } = tallyRound(
+        roundBallot,
+        roundVotes,
+        roundMode
+      );
+      roundHistory.push({
+        round: h.round,
+        votes: roundVotes,
+        ballot: formatBallot(roundBallot),
+        tallies,
+        result: roundResult,
+        endedAt: h.ended_at,
+      });
+    }
+
+    res.json({
+      currentRound,
+      roundStatus: config?.status || "stopped",
+      // Countdown: displays should tick from remainingSeconds, which doesn't
+      // depend on their own clock being right
+      opensAt: config?.opens_at || null,
+      closesAt: config?.closes_at || null,
+      remainingSeconds: remainingSeconds(config),
+      serverTime: new Date().toISOString(),
+      mode,
+      ballot: formatBallot(ballot),
+      tallies: result.tallies,
+      // winners, plus the elimination rounds for ranked voting
+      result: {
+        total_votes: result.total_votes,
+        winners: result.winners,
+        ...(result.runoff && { runoff: result.runoff }),
+      },
+      votes,
+      pendingVotes,
+      roundHistory,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a round's ballot (defaults to the current round)
+app.get("/api/votes/ballot", async (req, res) => {
+  try {
+    const config = await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+    const round = Number(req.query.round) || config?.current_round || 1;
+
+    res.json({
+      success: true,
+      round,
+      options: formatBallot(await getBallot(round)),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Set a round's ballot: { round?, options: [{ key, label, image_url?,
+// submission_id? }] }. Options linked to a submission default to its name
+// and image. Archived rounds are fixed, and so is a round that already has
+// votes.
+app.put("/api/votes/ballot", async (req, res) => {
+  try {
+    const result = await withRoundLock(() =>
+      saveBallot(req.body.round, req.body.options)
+    );
+    res.status(result.statusCode).json(result.body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Build a round's ballot from gallery submissions: { round?, submission_ids,
+// key_style: "letters" (default) | "numbers" }. Keys follow the given order.
+app.post("/api/votes/ballot/from-gallery", async (req, res) => {
+  const { submission_ids: submissionIds, key_style: keyStyle = "letters" } =
+    req.body;
+
+  if (!Array.isArray(submissionIds) || submissionIds.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "submission_ids is required",
+    });
+  }
+  if (keyStyle !== "letters" && keyStyle !== "numbers") {
+    return res.status(400).json({
+      success: false,
+      error: "key_style must be letters or numbers",
+    });
+  }
+
+  const keys = generateKeys(submissionIds.length, keyStyle);
+  const options = submissionIds.map((id, i) => ({
+    key: keys[i],
+    submission_id: id,
+  }));
+
+  try {
+    const result = await withRoundLock(() => saveBallot(req.body.round, options));
+    res.status(result.statusCode).json(result.body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a round's settings (defaults to the current round)
+app.get("/api/votes/settings", async (req, res) => {
+  try {
+    const config = await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+    const round = Number(req.query.round) || config?.current_round || 1;
+
+    res.json({ success: true, round, settings: await getRoundSettings(round) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update a round's settings: { round?, pending_policy, change_mode,
+// max_changes, mode, max_selections }. Fields left out keep the values the
+// round has now.
+async function updateRoundSettings(req, res) {
+  const result = validateRoundSettings(req.body);
+  if (!result.valid) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  try {
+    const config = await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+    const currentRound = config?.current_round || 1;
+    const round = Number(req.body.round) || currentRound;
+
+    if (!Number.isInteger(round) || round < currentRound) {
+      return res.status(409).json({
+        success: false,
+        error: "Cannot change the settings of a finished round",
+      });
+    }
+
+    const current = await getRoundSettings(round);
+    if (result.settings.mode && result.settings.mode !== current.mode) {
+      const voteCount = await dbGet(
+        "SELECT COUNT(*) AS count FROM votes WHERE round = ?",
+        [round]
+      );
+      if (voteCount.count > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Cannot change the voting mode once the round has votes",
+        });
+      }
+    }
+
+    const settings = { ...current, ...result.settings };
+    const columns = Object.keys(settings);
+    await dbRun(
+      `INSERT OR REPLACE INTO round_settings (round, ${columns.join(", ")})
+       VALUES (?, ${columns.map(() => "?").join(", ")})`,
+      [round, ...columns.map((column) => settings[column])]
+    );
+
+    console.log(`⚙️ Round ${round} settings updated:`, result.settings);
+    res.json({ success: true, round, settings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.put("/api/votes/settings", (req, res) =>
+  withRoundLock(() => updateRoundSettings(req, res))
+);
+
+// Voting report for one round (?round=N) or the whole event: every archived
+// round (optionally ended between ?from= and ?to=) plus the live one.
+// ?format=csv downloads one row per round and option; ?download=true saves
+// the JSON as a file.
+app.get("/api/votes/report", async (req, res) => {
+  const { from, to, format = "json" } = req.query;
+  const round = req.query.round ? Number(req.query.round) : null;
+
+  if (format !== "json" && format !== "csv") {
+    return res.status(400).json({ success: false, error: "format must be json or csv" });
+  }
+  if (
+    (req.query.round && !Number.isInteger(round)) ||
+    (from && Number.isNaN(Date.parse(from))) ||
+    (to && Number.isNaN(Date.parse(to)))
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "round must be a number, from/to must be dates",
+    });
+  }
+
+  try {
+    const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+    const currentRound = config?.current_round || 1;
+
+    const conditions = [];
+    const params = [];
+    if (round) {
+      conditions.push("round = ?");
+      params.push(round);
+    }
+    if (from) {
+      conditions.push("ended_at >= ?");
+      params.push(new Date(from).toISOString());
+    }
+    if (to) {
+      conditions.push("ended_at <= ?");
+      params.push(new Date(to).toISOString());
+    }
+    const history = await dbAll(
+      `SELECT * FROM voting_history
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY ended_at ASC`,
+      params
+    );
+
+    const entries = history.map((h) => ({
+      round: h.round,
+      status: "archived",
+      votes: JSON.parse(h.votes_json),
+      endedAt: h.ended_at,
+    }));
+
+    // The live round, unless the report is for another round or a past window
+    if ((!round || round === currentRound) && !to) {
+      const liveVotes = await dbAll("SELECT * FROM votes WHERE round = ?", [
+        currentRound,
+      ]);
+      if (liveVotes.length > 0 || config?.status !== "stopped") {
+        entries.push({ round: currentRound, status: "live", votes: liveVotes });
+      }
+    }
+
+    if (round && entries.length === 0) {
+      return res.status(404).json({ success: false, error: "Round not found" });
+    }
+
+    const rounds = [];
+    for (const entry of entries) {
+      const report = buildRoundReport({
+        ...entry,
+        ballot: await getBallot(entry.round),
+        mode: (await getRoundSettings(entry.round)).mode,
+      });
+      rounds.push({ report, votes: entry.votes });
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const basename = round ? `voting-report-round-${round}` : `voting-report-${stamp}`;
+
+    if (format === "csv") {
+      res.attachment(`${basename}.csv`);
+      return res.type("text/csv").send(reportToCsv(rounds.map((r) => r.report)));
+    }
+
+    if (req.query.download === "true") res.attachment(`${basename}.json`);
+    const report =
+      round && rounds.length === 1 ? rounds[0].report : buildEventReport(rounds);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Audit trail of changed votes (?round=, default all rounds)
+app.get("/api/votes/changes", async (req, res) => {
+  try {
+    const round = Number(req.query.round);
+    const changes = round
+      ? await dbAll(
+          "SELECT * FROM vote_changes WHERE round = ? ORDER BY changed_at ASC",
+          [round]
+        )
+      : await dbAll("SELECT * FROM vote_changes ORDER BY changed_at ASC");
+    res.json({ success: true, data: changes, count: changes.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pending votes waiting for review
+app.get("/api/votes/pending", async (req, res) => {
+  try {
+    const pendingVotes = await dbAll(
+      "SELECT * FROM pending_votes ORDER BY created_at ASC"
+    );
+    res.json({ success: true, data: pendingVotes, count: pendingVotes.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Accept (count in the running round) or reject pending votes: one (`id`),
+// many (`ids`) or `all`
+app.post("/api/votes/pending/:action", async (req, res) => {
+  const { action } = req.params;
+  const { id, ids, all } = req.body;
+  const targetIds = ids || (id ? [id] : []);
+
+  if (action !== "accept" && action !== "reject") {
+    return res.status(400).json({
+      success: false,
+      error: "Action must be one of: accept, reject",
+    });
+  }
+
+  if (!all && (!Array.isArray(targetIds) || targetIds.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: "id, ids or all is required",
+    });
+  }
+
+  try {
+    const uniqueIds = all ? [] : [...new Set(targetIds.map(Number))];
+    const pendingVotes = all
+      ? await dbAll("SELECT * FROM pending_votes")
+      : await dbAll(
+          `SELECT * FROM pending_votes WHERE id IN (${uniqueIds
+            .map(() => "?")
+            .join(", ")})`,
+          uniqueIds
+        );
+
+    if (action === "reject") {
+      for (const pending of pendingVotes) {
+        await dbRun("DELETE FROM pending_votes WHERE id = ?", [pending.id]);
+      }
+      console.log(`🗑️ Rejected ${pendingVotes.length} pending vote(s)`);
+      return res.json({
+        success: true,
+        rejected: pendingVotes.length,
+        not_found: all ? 0 : uniqueIds.length - pendingVotes.length,
+      });
+    }
+
+    const { config, result } = await withRoundLock(async () => {
+      const config = await dbGet(
+        "SELECT current_round, status FROM voting_config WHERE id = 1"
+      );
+      if (config?.status !== "running") return { config, result: null };
+      return {
+        config,
+        result: await acceptPendingVotes(pendingVotes, config.current_round),
+      };
+    });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: "Voting must be running to accept pending votes",
+      });
+    }
+
+    console.log(
+      `📥 Accepted ${result.accepted} pending vote(s) into round ${config.current_round}`
+    );
+    res.json({
+      success: true,
+      round: config.current_round,
+      ...result,
+      not_found: all ? 0 : uniqueIds.length - pendingVotes.length,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Count quarantined votes after all. Each must be from the round that is
+// running now and still on its ballot, and the phone can't have voted there
+// since. Released and duplicate votes leave the quarantine; the rest stay.
+async function releaseQuarantinedVotes(quarantinedVotes) {
+  const config = await dbGet(
+    "SELECT current_round, status FROM voting_config WHERE id = 1"
+  );
+  const round = config?.current_round || 1;
+  const running = config?.status === "running";
+  const ballot = await getBallot(round);
+  const { mode, max_selections: maxSelections } = await getRoundSettings(round);
+  const result = { released: 0, duplicates: 0, round_closed: 0, invalid: 0 };
+
+  const ordered = [...quarantinedVotes].sort((a, b) =>
+    a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : a.id - b.id
+  );
+
+  for (const quarantined of ordered) {
+    if (!running || quarantined.round !== round) {
+      result.round_closed++;
+      continue;
+    }
+    const parsed = parseChoices(ballot, voteChoices(quarantined).join(" "), {
+      mode,
+      maxSelections,
+    });
+    if (!parsed.valid) {
+      result.invalid++;
+      continue;
+    }
+    const { choices } = parsed;
+
+    const existing = await dbGet(
+      "SELECT id FROM votes WHERE phone_number = ? AND round = ?",
+      [quarantined.phone_number, round]
+    );
+    if (existing) {
+      result.duplicates++;
+    } else {
+      const inserted = await dbRun(
+        "INSERT INTO votes (phone_number, letter, choices, round, created_at) VALUES (?, ?, ?, ?, ?)",
+        [
+          quarantined.phone_number,
+          choices[0],
+          choicesColumn(choices),
+          round,
+          quarantined.created_at,
+        ]
+      );
+      result.released++;
+      await publishVote({
+        id: inserted.lastID,
+        letter: choices[0],
+        choices: choicesColumn(choices),
+        round,
+        created_at: quarantined.created_at,
+      });
+    }
+
+    await dbRun("DELETE FROM quarantined_votes WHERE id = ?", [quarantined.id]);
+  }
+
+  return result;
+}
+
+// Quarantined votes (?round=, default all)
+app.get("/api/votes/quarantine", async (req, res) => {
+  try {
+    const round = Number(req.query.round);
+    const quarantined = round
+      ? await dbAll(
+          "SELECT * FROM quarantined_votes WHERE round = ? ORDER BY created_at ASC",
+          [round]
+        )
+      : await dbAll("SELECT * FROM quarantined_votes ORDER BY created_at ASC");
+    res.json({ success: true, data: quarantined, count: quarantined.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Release (count in the running round) or reject quarantined votes: one
+// (`id`), many (`ids`) or `all`
+app.post("/api/votes/quarantine/:action", async (req, res) => {
+  const { action } = req.params;
+  const { id, ids, all } = req.body;
+  const targetIds = ids || (id ? [id] : []);
+
+  if (action !== "release" && action !== "reject") {
+    return res.status(400).json({
+      success: false,
+      error: "Action must be one of: release, reject",
+    });
+  }
+
+  if (!all && (!Array.isArray(targetIds) || targetIds.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: "id, ids or all is required",
+    });
+  }
+
+  try {
+    const uniqueIds = all ? [] : [...new Set(targetIds.map(Number))];
+    const quarantined = all
+      ? await dbAll("SELECT * FROM quarantined_votes")
+      : await dbAll(
+          `SELECT * FROM quarantined_votes WHERE id IN (${uniqueIds
+            .map(() => "?")
+            .join(", ")})`,
+          uniqueIds
+        );
+    const notFound = all ? 0 : uniqueIds.length - quarantined.length;
+
+    if (action === "reject") {
+      for (const vote of quarantined) {
+        await dbRun("DELETE FROM quarantined_votes WHERE id = ?", [vote.id]);
+      }
+      console.log(`🗑️ Rejected ${quarantined.length} quarantined vote(s)`);
+      return res.json({
+        success: true,
+        rejected: quarantined.length,
+        not_found: notFound,
+      });
+    }
+
+    const result = await withRoundLock(() => releaseQuarantinedVotes(quarantined));
+    console.log(`✅ Released ${result.released} quarantined vote(s)`);
+    res.json({ success: true, ...result, not_found: notFound });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Blocklist ----
+
+// Blocked numbers and prefixes
+app.get("/api/blocklist", async (req, res) => {
+  try {
+    const entries = await dbAll(
+      "SELECT * FROM blocklist ORDER BY created_at DESC"
+    );
+    res.json({
+      success: true,
+      data: entries.map((entry) => ({ ...entry, is_prefix: !!entry.is_prefix })),
+      count: entries.length,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Block a number ({ phone_number }) or a whole range ({ prefix: "+1555" }),
+// with an optional reason. Messages from them are ignored.
+app.post("/api/blocklist", async (req, res) => {
+  const { phone_number, prefix, reason } = req.body;
+
+  if (!phone_number === !prefix) {
+    return res.status(400).json({
+      success: false,
+      error: "Send either phone_number or prefix",
+    });
+  }
+
+  try {
+    const value = prefix
+      ? normalizePrefix(prefix)
+      : await toE164(phone_number);
+    if (!value) {
+      return res.status(400).json({
+        success: false,
+        error: prefix
+          ? "prefix must be \"+\" followed by up to 14 digits"
+          : "phone_number must be a valid phone number",
+      });
+    }
+
+    const createdAt = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO blocklist (value, is_prefix, reason, created_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(value) DO UPDATE SET is_prefix = excluded.is_prefix, reason = excluded.reason`,
+      [value, prefix ? 1 : 0, reason || null, createdAt]
+    );
+    console.log(`⛔ Blocked ${prefix ? "prefix" : "number"}: ${value}`);
+    res.json({
+      success: true,
+      data: { value, is_prefix: !!prefix, reason: reason || null, created_at: createdAt },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unblock a number or prefix (URL-encode the "+": %2B15551234567)
+app.delete("/api/blocklist/:value", async (req, res) => {
+  try {
+    const candidates = [
+      normalizePrefix(req.params.value),
+      await toE164(req.params.value),
+    ].filter(Boolean);
+    const result = candidates.length
+      ? await dbRun(
+          `DELETE FROM blocklist WHERE value IN (${candidates
+            .map(() => "?")
+            .join(", ")})`,
+          candidates
+        )
+      : { changes: 0 };
+
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: "Not on the blocklist" });
+    }
+    console.log(`✅ Unblocked: ${req.params.value}`);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Submit vote: { phoneNumber, letter } - or `choices` (array) for approval
+// and ranked rounds, where `letter` may also hold several options ("BAC")
+async function submitVote(req, res) {
+  if (!req.body.phoneNumber) {
+    return res.status(400).json({
+      success: false,
+      error: "phoneNumber is required",
+    });
+  }
+
+  try {
+    const phoneNumber = await toE164(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: "phoneNumber must be a valid phone number",
+      });
+    }
+    if (await findBlock(phoneNumber)) {
+      return res.status(403).json({
+        success: false,
+        error: "This phone number is blocked",
+      });
+    }
+
+    const config = await dbGet(
+      "SELECT current_round, status FROM voting_config WHERE id = 1"
+    );
+    const currentRound = config?.current_round || 1;
+
+    // Votes are checked against the ballot of the round they will count in
+    const ballot = await getBallot(currentRound);
+    const {
+      mode,
+      max_selections: maxSelections,
+      pending_policy: pendingPolicy,
+    } = await getRoundSettings(currentRound);
+    const parsed = parseChoices(
+      ballot,
+      Array.isArray(req.body.choices)
+        ? req.body.choices.join(" ")
+        : req.body.letter,
+      { mode, maxSelections }
+    );
+    if (!parsed.valid) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    const { choices } = parsed;
+    const letter = choices[0];
+
+    const overLimit = await checkVoteVelocity(phoneNumber);
+    if (overLimit) {
+      console.log(`🚦 Vote rate limited (${overLimit.scope}): ${phoneNumber}`);
+      return res
+        .status(429)
+        .set("Retry-After", String(overLimit.retryAfter))
+        .json({
+          success: false,
+          error:
+            overLimit.scope === "number"
+              ? "Too many votes from this phone number"
+              : "Too many votes from this number range",
+          retryAfter: overLimit.retryAfter,
+        });
+    }
+
+    // If voting is not running, store as pending vote instead of rejecting
+    if (config?.status !== "running") {
+      // Store in pending_votes table
+      const createdAt = new Date().toISOString();
+      const pending = await dbRun(
+        "INSERT INTO pending_votes (phone_number, letter, choices, created_at) VALUES (?, ?, ?, ?)",
+        [phoneNumber, letter, choicesColumn(choices), createdAt]
+      );
+
+      console.log(`📝 Pending vote stored: ${phoneNumber} → ${choices.join(",")}`);
+      publishPendingVote({
+        id: pending.lastID,
+        letter,
+        choices: choicesColumn(choices),
+        created_at: createdAt,
+      });
+      return res.json({
+        success: true,
+        pending: true,
+        vote: {
+          id: pending.lastID.toString(),
+          phoneNumber,
+          letter,
+          choices,
+          createdAt,
+        },
+      });
+    }
+
+    const result = await castVote(phoneNumber, choices, currentRound);
+    if (result.outcome === "quarantined") {
+      return res.json({
+        success: true,
+        quarantined: true,
+        vote: {
+          id: result.vote.id.toString(),
+          phoneNumber,
+          letter: result.vote.letter,
+          choices: voteChoices(result.vote),
+          round: currentRound,
+          createdAt: result.vote.created_at,
+        },
+      });
+    }
+    if (result.outcome === "duplicate") {
+      return res.status(400).json({
+        success: false,
+        error: "Phone number already voted in this round",
+        ...(result.changesLeft !== null && { changesLeft: 0 }),
+      });
+    }
+
+    res.json({
+      success: true,
+      ...(result.outcome === "changed" && {
+        changed: true,
+        previousLetter: result.previousChoices[0],
+        previousChoices: result.previousChoices,
+      }),
+      ...(result.changesLeft !== null && { changesLeft: result.changesLeft }),
+      vote: {
+        id: result.vote.id.toString(),
+        phoneNumber,
+        letter: result.vote.letter,
+        choices: voteChoices(result.vote),
+        round: currentRound,
+        createdAt: result.vote.created_at,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post("/api/votes", (req, res) =>
+  withRoundLock(() => submitVote(req, res))
+);
+
+// Delete vote
+async function deleteVote(req, res) {
+  try {
+    const vote = await dbGet("SELECT * FROM votes WHERE id = ?", [
+      req.params.voteId,
+    ]);
+    await dbRun("DELETE FROM votes WHERE id = ?", [req.params.voteId]);
+    res.json({ success: true });
+
+    if (vote) {
+      publishVoteDeleted(vote).catch((err) =>
+        console.error("Error publishing vote:", err.message)
+      );
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Numeric ids only, so DELETE /api/votes/schedule reaches its own route
+app.delete("/api/votes/:voteId(\\d+)", (req, res) =>
+  withRoundLock(() => deleteVote(req, res))
+);
+
+const VOTING_STATUSES = ["running", "paused", "stopped"];
+
+// Move a round's votes into voting_history and apply `configUpdate` (SQL
+// setting voting_config columns) - together, or not at all
+function archiveRound(round, configUpdate, params = []) {
+  return inTransaction(async () => {
+    const roundVotes = await dbAll("SELECT * FROM votes WHERE round = ?", [round]);
+    if (roundVotes.length > 0) {
+      await dbRun(
+        "INSERT INTO voting_history (round, votes_json, ended_at) VALUES (?, ?, ?)",
+        [round, JSON.stringify(roundVotes), new Date().toISOString()]
+      );
+    }
+    await dbRun("DELETE FROM votes WHERE round = ?", [round]);
+    await dbRun(`UPDATE voting_config SET ${configUpdate} WHERE id = 1`, params);
+    return roundVotes.length;
+  });
+}
+
+// Resolves with a conflict result if the round moved on from what the
+// caller expected ({ round, status }, either may be left out), else null
+async function checkExpectedRound(expected = {}) {
+  const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+  const currentRound = config?.current_round || 1;
+  const roundStatus = config?.status || "stopped";
+
+  if (
+    (expected.round !== undefined && expected.round !== currentRound) ||
+    (expected.status !== undefined && expected.status !== roundStatus)
+  ) {
+    return { conflict: true, currentRound, roundStatus };
+  }
+  return null;
+}
+
+// Change the voting status. Stopping a round archives its votes to
+// voting_history, clears its schedule and moves on to the next round;
+// starting one applies its pending_policy. `closesAt` sets a deadline for a
+// round that is (or is now) running. With `expected` ({ round, status }) the
+// change only happens if the round is still in that state - otherwise it
+// resolves with { conflict: true, currentRound, roundStatus }.
+function setVotingStatus(status, { closesAt, expected } = {}) {
+  return withRoundLock(async () => {
+    const conflict = await checkExpectedRound(expected);
+    if (conflict) return conflict;
+
+    const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+    const oldStatus = config?.status || "stopped";
+    const currentRound = config?.current_round || 1;
+
+    if (status === "stopped" && oldStatus !== "stopped") {
+      // Archive the round and move on to the next
+      await archiveRound(
+        currentRound,
+        `status = ?, current_round = current_round + 1,
+         opens_at = NULL, closes_at = NULL`,
+        [status]
+      );
+      scheduleRoundTimer();
+
+      const newConfig = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+      publishRound({
+        round: newConfig?.current_round || 1,
+        status: newConfig?.status || "stopped",
+        previousStatus: oldStatus,
+        archivedRound: currentRound,
+      });
+      return {
+        currentRound: newConfig?.current_round || 1,
+        roundStatus: newConfig?.status || "stopped",
+      };
+    }
+
+    const starting = status === "running" && oldStatus !== "running";
+    const opensAt = starting ? null : config?.opens_at || null;
+    const deadline = closesAt !== undefined ? closesAt : config?.closes_at || null;
+
+    await dbRun(
+      "UPDATE voting_config SET status = ?, opens_at = ?, closes_at = ? WHERE id = 1",
+      [status, opensAt, deadline]
+    );
+    scheduleRoundTimer();
+
+    if (status !== oldStatus || deadline !== (config?.closes_at || null)) {
+      publishRound({
+        round: currentRound,
+        status,
+        previousStatus: oldStatus,
+        opensAt,
+        closesAt: deadline,
+      });
+    }
+
+    // Votes that came in early are promoted, discarded or held for review as
+    // the round starts, per its pending_policy
+    const pending = starting ? await applyPendingPolicy(currentRound) : null;
+
+    return {
+      currentRound,
+      roundStatus: status,
+      ...(deadline && { closesAt: deadline }),
+      ...(pending && { pending }),
+    };
+  });
+}
+
+// The expected round/status a caller sent with a transition, for
+// optimistic concurrency: { expected_round, expected_status }
+function expectedRoundFrom(body) {
+  return {
+    ...(body.expected_round !== undefined && {
+      round: Number(body.expected_round),
+    }),
+    ...(body.expected_status !== undefined && { status: body.expected_status }),
+  };
+}
+
+const roundConflict = (result) => ({
+  success: false,
+  error: "The round has changed since you loaded it - reload and try again",
+  currentRound: result.currentRound,
+  roundStatus: result.roundStatus,
+});
+
+// Update voting status: { status, duration_seconds? | closes_at? } - a
+// duration or closing time makes it a timed round. Send expected_round and
+// expected_status (what the caller last saw) to get a 409 instead of acting
+// on a round that has moved on.
+app.post("/api/votes/status", async (req, res) => {
+  const { status } = req.body;
+
+  if (!VOTING_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of: ${VOTING_STATUSES.join(", ")}`,
+    });
+  }
+
+  const schedule = parseSchedule({
+    closes_at: req.body.closes_at,
+    duration_seconds: req.body.duration_seconds,
+  });
+  if (!schedule.valid) {
+    return res.status(400).json({ success: false, error: schedule.error });
+  }
+  if (schedule.closesAt && status !== "running") {
+    return res.status(400).json({
+      success: false,
+      error: "A closing time can only be set when starting a round",
+    });
+  }
+
+  try {
+    const result = await setVotingStatus(status, {
+      closesAt: schedule.closesAt || undefined,
+      expected: expectedRoundFrom(req.body),
+    });
+    if (result.conflict) return res.status(409).json(roundConflict(result));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schedule the round: { opens_at?, closes_at? | duration_seconds? }. A
+// running round can only have its closing time moved.
+async function scheduleRound(req, res) {
+  const schedule = parseSchedule(req.body);
+  if (!schedule.valid) {
+    return res.status(400).json({ success: false, error: schedule.error });
+  }
+  if (!schedule.opensAt && !schedule.closesAt) {
+    return res.status(400).json({
+      success: false,
+      error: "opens_at, closes_at or duration_seconds is required",
+    });
+  }
+
+  try {
+    const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+    const running = config?.status === "running";
+
+    if (running && schedule.opensAt) {
+      return res.status(409).json({
+        success: false,
+        error: "The round is already running - only closes_at can change",
+      });
+    }
+    if (!running && !schedule.opensAt) {
+      return res.status(400).json({
+        success: false,
+        error: "opens_at is required until the round is running",
+      });
+    }
+
+    await dbRun(
+      "UPDATE voting_config SET opens_at = ?, closes_at = ? WHERE id = 1",
+      [schedule.opensAt, schedule.closesAt]
+    );
+    scheduleRoundTimer();
+
+    publishRound({
+      round: config?.current_round || 1,
+      status: config?.status || "stopped",
+      previousStatus: config?.status || "stopped",
+      opensAt: schedule.opensAt,
+      closesAt: schedule.closesAt,
+    });
+
+    console.log(
+      `⏱️ Round ${config?.current_round || 1} scheduled: ${
+        schedule.opensAt || "now"
+      } → ${schedule.closesAt || "open-ended"}`
+    );
+    res.json({
+      success: true,
+      currentRound: config?.current_round || 1,
+      opensAt: schedule.opensAt,
+      closesAt: schedule.closesAt,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post("/api/votes/schedule", (req, res) =>
+  withRoundLock(() => scheduleRound(req, res))
+);
+
+// Cancel the round's schedule (a running round keeps running, untimed)
+async function cancelRoundSchedule(req, res) {
+  try {
+    await dbRun(
+      "UPDATE voting_config SET opens_at = NULL, closes_at = NULL WHERE id = 1"
+    );
+    scheduleRoundTimer();
+
+    const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+    publishRound({
+      round: config?.current_round || 1,
+      status: config?.status || "stopped",
+      previousStatus: config?.status || "stopped",
+    });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.delete("/api/votes/schedule", (req, res) =>
+  withRoundLock(() => cancelRoundSchedule(req, res))
+);
+
+// ---- Round scheduler ----
+// One timer for the next opening or closing, re-armed whenever the schedule
+// changes. The schedule lives in voting_config, so after a restart an overdue
+// round is opened or closed straight away.
+
+const MAX_TIMER_DELAY = 60 * 60 * 1000; // re-check at least hourly
+let roundTimer = null;
+let roundTimerGeneration = 0;
+
+async function runRoundSchedule() {
+  const now = Date.now();
+  let config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+
+  if (
+    config?.status !== "running" &&
+    config?.opens_at &&
+    Date.parse(config.opens_at) <= now
+  ) {
+    console.log(`⏱️ Opening round ${config.current_round} on schedule`);
+    await setVotingStatus("running", {
+      expected: { round: config.current_round, status: config.status },
+    });
+    config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+  }
+
+  if (
+    config?.status === "running" &&
+    config.closes_at &&
+    Date.parse(config.closes_at) <= now
+  ) {
+    console.log(`⏱️ Closing round ${config.current_round} on schedule`);
+    await setVotingStatus("stopped", {
+      expected: { round: config.current_round, status: "running" },
+    });
+  }
+}
+
+function scheduleRoundTimer() {
+  const generation = ++roundTimerGeneration;
+  clearTimeout(roundTimer);
+
+  dbGet("SELECT * FROM voting_config WHERE id = 1")
+    .then((config) => {
+      // A newer call has taken over
+      if (generation !== roundTimerGeneration) return;
+
+      const next =
+        config?.status === "running" ? config.closes_at : config?.opens_at;
+      if (!next) return;
+
+      const delay = Math.min(
+        Math.max(Date.parse(next) - Date.now(), 0),
+        MAX_TIMER_DELAY
+      );
+      roundTimer = setTimeout(() => {
+        runRoundSchedule()
+          .catch((err) => console.error("Round scheduler error:", err.message))
+          .finally(scheduleRoundTimer);
+      }, delay);
+    })
+    .catch((err) => console.error("Round scheduler error:", err.message));
+}
+
+// Clear voting display: archive the round's votes and stop it, keeping the
+// round number. Takes expected_round / expected_status like /status.
+app.post("/api/votes/clear", async (req, res) => {
+  try {
+    const result = await withRoundLock(async () => {
+      const conflict = await checkExpectedRound(expectedRoundFrom(req.body));
+      if (conflict) return conflict;
+
+      const config = await dbGet("SELECT * FROM voting_config WHERE id = 1");
+      const currentRound = config?.current_round || 1;
+      await archiveRound(
+        currentRound,
+        "status = ?, opens_at = NULL, closes_at = NULL",
+        ["stopped"]
+      );
+      scheduleRoundTimer();
+
+      publishRound({
+        round: currentRound,
+        status: "stopped",
+        previousStatus: config?.status || "stopped",
+        archivedRound: currentRound,
+      });
+      return { currentRound, roundStatus: "stopped" };
+    });
+
+    if (result.conflict) return res.status(409).json(roundConflict(result));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Twilio signs its webhooks with the account's auth token; requests without
+// a valid X-Twilio-Signature are refused. TWILIO_VERIFY_SIGNATURE=false turns
+// the check off for local development.
+const TWILIO_VERIFY_SIGNATURE = process.env.TWILIO_VERIFY_SIGNATURE !== "false";
+
+// The URL Twilio requested, which the signature covers: TWILIO_WEBHOOK_URL
+// for the incoming-message webhook, else PUBLIC_URL plus the path, else this
+// request's own host (usually wrong behind a proxy)
+function twilioWebhookUrl(req) {
+  if (process.env.TWILIO_WEBHOOK_URL && req.path === "/api/twilio/webhook") {
+    return process.env.TWILIO_WEBHOOK_URL;
+  }
+  const base =
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+  return `${base.replace(/\/$/, "")}${req.originalUrl}`;
+}
+
+function verifyTwilioSignature(req, res, next) {
+  if (!TWILIO_VERIFY_SIGNATURE) return next();
+
+  const valid = validateSignature(
+    process.env.TWILIO_AUTH_TOKEN,
+    req.get("X-Twilio-Signature"),
+    twilioWebhookUrl(req),
+    req.body
+  );
+  if (!valid) {
+    console.log(`⛔ Rejected webhook with a missing or bad Twilio signature`);
+    return res.status(403).send("Invalid signature");
+  }
+  next();
+}
+
+// ---- SMS commands ----
+
+// Reply template `name` rendered in the sender's language: an admin
+// override for it, else the built-in one, else the English override or
+// built-in
+async function smsReply(name, phoneNumber, values = {}) {
+  const language = languageFor(
+    phoneNumber,
+    await getConfig("default_sms_language")
+  );
+  const custom = await dbAll(
+    "SELECT language, body FROM sms_templates WHERE name = ? AND language IN (?, ?)",
+    [name, language, DEFAULT_LANGUAGE]
+  );
+  const customBody = (lang) => custom.find((row) => row.language === lang)?.body;
+
+  const template =
+    customBody(language) ||
+    DEFAULT_TEMPLATES[language]?.[name] ||
+    customBody(DEFAULT_LANGUAGE) ||
+    DEFAULT_TEMPLATES[DEFAULT_LANGUAGE][name];
+  return renderTemplate(template, values);
+}
+
+const formatChoices = (vote) => voteChoices(vote).join(", ");
+
+// The sender's vote for the current round - counted, held back or waiting
+// for the round to open - with `table` saying which
+async function findSmsVote(phoneNumber, round) {
+  const vote = await dbGet(
+    `SELECT *, COALESCE(updated_at, created_at) AS cast_at FROM votes
+     WHERE phone_number = ? AND round = ?`,
+    [phoneNumber, round]
+  );
+  if (vote) return { table: "votes", vote, at: vote.cast_at };
+
+  const quarantined = await dbGet(
+    `SELECT * FROM quarantined_votes WHERE phone_number = ? AND round = ?
+     ORDER BY created_at DESC LIMIT 1`,
+    [phoneNumber, round]
+  );
+  if (quarantined) {
+    return { table: "quarantined_votes", vote: quarantined, at: quarantined.created_at };
+  }
+
+  const pending = await dbGet(
+    `SELECT * FROM pending_votes WHERE phone_number = ?
+     ORDER BY created_at DESC LIMIT 1`,
+    [phoneNumber]
+  );
+  if (pending) return { table: "pending_votes", vote: pending, at: pending.created_at };
+
+  return null;
+}
+
+// STATUS: the sender's vote this round and their pledge total
+async function smsStatus(phoneNumber, config) {
+  const round = config?.current_round || 1;
+  const found = await findSmsVote(phoneNumber, round);
+  const pledges = await dbGet(
+    "SELECT COUNT(*) AS count, COALESCE(SUM(amount), 0) AS total FROM donations WHERE phone = ?",
+    [phoneNumber]
+  );
+
+  // Quarantined votes read as counted - the sender isn't told. A pending
+  // vote is described by what the round's pending_policy will do with it.
+  const { pending_policy: pendingPolicy } = await getRoundSettings(round);
+  const vote = !found
+    ? `Round ${round}: you haven't voted yet.`
+    : found.table !== "pending_votes"
+    ? `Round ${round}: you voted ${formatChoices(found.vote)}.`
+    : pendingPolicy === "promote"
+    ? `Your vote for ${formatChoices(found.vote)} counts once round ${round} opens.`
+    : pendingPolicy === "review"
+    ? `Your vote for ${formatChoices(found.vote)} will be reviewed when round ${round} opens.`
+    : `Round ${round} isn't open yet - text ${formatChoices(found.vote)} again once it opens.`;
+  const pledged =
+    pledges.count > 0
+      ? `Your pledges: $${pledges.total} (${pledges.count}).`
+      : "No pledges yet.";
+  return `${vote} ${pledged}`;
+}
+
+const MAX_UNDO_WINDOW_MINUTES = 7 * 24 * 60;
+
+// UNDO: take back the sender's latest vote (this round) or pledge, if it
+// was made within undo_window_minutes
+async function smsUndo(phoneNumber, config) {
+  const round = config?.current_round || 1;
+  const windowMinutes = await getNumberConfig("undo_window_minutes", {
+    max: MAX_UNDO_WINDOW_MINUTES,
+  });
+  const since = new Date(Date.now() - windowMinutes * 60000).toISOString();
+
+  const found = await findSmsVote(phoneNumber, round);
+  const vote = found && found.at >= since ? found : null;
+  const donation = await dbGet(
+    `SELECT * FROM donations WHERE phone = ? AND created_at >= ?
+     ORDER BY created_at DESC LIMIT 1`,
+    [phoneNumber, since]
+  );
+
+  if (donation && (!vote || donation.created_at > vote.at)) {
+    await dbRun("DELETE FROM donations WHERE id = ?", [donation.id]);
+    console.log(`↩️ Pledge undone: ${phoneNumber} → $${donation.amount}`);
+    events.publish("donation_deleted", { donationId: donation.id });
+    return `Your $${donation.amount} pledge was taken back.`;
+  }
+
+  if (vote) {
+    await dbRun(`DELETE FROM ${vote.table} WHERE id = ?`, [vote.vote.id]);
+    console.log(`↩️ Vote undone: ${phoneNumber} → ${formatChoices(vote.vote)}`);
+    if (vote.table === "votes") await publishVoteDeleted(vote.vote);
+    return `Your vote for ${formatChoices(vote.vote)} was taken back.`;
+  }
+
+  return `Nothing to undo from the last ${windowMinutes} minutes.`;
+}
+
+// Built-in commands. Resolves with the reply.
+async function runSmsCommand(command, phoneNumber, config) {
+  if (command === "help") return getConfig("help_message");
+
+  if (command === "stop") {
+    await dbRun(
+      "INSERT OR IGNORE INTO sms_opt_outs (phone_number, opted_out_at) VALUES (?, ?)",
+      [phoneNumber, new Date().toISOString()]
+    );
+    console.log(`🔕 Opted out: ${phoneNumber}`);
+    return "You won't get any more texts from us. Text START to opt back in.";
+  }
+
+  if (command === "start") {
+    await dbRun("DELETE FROM sms_opt_outs WHERE phone_number = ?", [phoneNumber]);
+    console.log(`🔔 Opted in: ${phoneNumber}`);
+    return "You're opted back in. Text HELP for options.";
+  }
+
+  if (command === "status") return smsStatus(phoneNumber, config);
+  return smsUndo(phoneNumber, config);
+}
+
+// Twilio webhook. In order, a message is: a built-in command, a vote, an
+// admin-defined keyword, a mistyped vote, a pledge - or, failing all of
+// those, unrecognized. Numbers that opted out only hear back from HELP and
+// START.
+// Answer an incoming message in its gateway's format (no reply when `text`
+// is empty). Gateways that can't reply inline get an empty answer and send
+// the reply themselves.
+function respondToSms(adapter, inbound, res, text = null) {
+  const { type, body } = adapter.formatReply(text, inbound);
+  if (type) res.type(type);
+  res.send(body);
+
+  if (text && adapter.sendReply) {
+    adapter
+      .sendReply(text, inbound)
+      .catch((error) =>
+        console.error(`Error replying to ${inbound.from}:`, error.message)
+      );
+  }
+}
+
+// One incoming message, from whichever gateway `adapter` reads
+async function handleSms(adapter, req, res) {
+  try {
+    const inbound = adapter.parse({ ...req.query, ...req.body });
+    if (!inbound) return res.status(400).send("Missing fields");
+    const respond = (text) => respondToSms(adapter, inbound, res, text);
+
+    const phoneNumber = await toE164(inbound.from);
+    if (!phoneNumber) {
+      console.log(`⚠️ Ignoring message from unrecognized number: ${inbound.from}`);
+      return respond();
+    }
+    if (await findBlock(phoneNumber)) {
+      console.log(`⛔ Ignoring message from blocked number: ${phoneNumber}`);
+      return respond();
+    }
+    const message = inbound.text.trim();
+
+    const optedOut = !!(await dbGet(
+      "SELECT 1 FROM sms_opt_outs WHERE phone_number = ?",
+      [phoneNumber]
+    ));
+    const reply = (text) => respond(optedOut ? null : text);
+
+    const config = await dbGet(
+      "SELECT current_round, status FROM voting_config WHERE id = 1"
+    );
+
+    const command = matchCommand(message);
+    if (command) {
+      const text = await runSmsCommand(command, phoneNumber, config);
+      return command === "help" || command === "start" || command === "stop"
+        ? respond(text)
+        : reply(text);
+    }
+
+    const currentRound = config?.current_round || 1;
+    const ballot = await getBallot(currentRound);
+    const {
+      mode,
+      max_selections: maxSelections,
+      pending_policy: pendingPolicy,
+    } = await getRoundSettings(currentRound);
+    const parsed = parseChoices(ballot, message, { mode, maxSelections });
+
+    if (parsed.valid) {
+      // Vote
+      const { choices } = parsed;
+      const letter = choices[0];
+
+      // Only the sender over their own limit is told; a flooded range isn't
+      const overLimit = await checkVoteVelocity(phoneNumber);
+      if (overLimit) {
+        console.log(`🚦 Vote rate limited (${overLimit.scope}): ${phoneNumber}`);
+        return reply(
+          overLimit.scope === "number"
+            ? `Too many votes - try again in ${overLimit.retryAfter} seconds.`
+            : null
+        );
+      }
+
+      // If voting is not running, store as pending vote
+      if (config?.status !== "running") {
+        // Stored before the lock is released, so a round starting next
+        // sees it when it applies its pending_policy
+        const createdAt = new Date().toISOString();
+        try {
+          const pending = await dbRun(
+            "INSERT INTO pending_votes (phone_number, letter, choices, created_at) VALUES (?, ?, ?, ?)",
+            [phoneNumber, letter, choicesColumn(choices), createdAt]
+          );
+          console.log(`📝 Pending vote stored: ${phoneNumber} → ${choices.join(",")}`);
+          publishPendingVote({
+            id: pending.lastID,
+            letter,
+            choices: choicesColumn(choices),
+            created_at: createdAt,
+          });
+        } catch (err) {
+          console.log(`⚠️ Error storing pending vote: ${err.message}`);
+        }
+        // Only promise what the round's pending_policy will do with it
+        return reply(
+          await smsReply(VOTING_CLOSED_TEMPLATES[pendingPolicy], phoneNumber, {
+            letter: choices.join(", "),
+            round: currentRound,
+          })
+        );
+      }
+
+      const result = await castVote(phoneNumber, choices, currentRound);
+
+      // Repeat votes are told which option counts now. Quarantined votes
+      // get the usual thanks - the sender isn't told.
+      const template =
+        result.outcome === "changed"
+          ? "vote_changed"
+          : result.outcome === "duplicate" && result.changesLeft === 0
+          ? "vote_changes_used"
+          : result.outcome === "duplicate" || result.outcome === "unchanged"
+          ? "vote_duplicate"
+          : "vote_accepted";
+      return reply(
+        await smsReply(template, phoneNumber, {
+          letter: formatChoices(result.vote),
+          previous: result.previousChoices?.join(", "),
+          round: currentRound,
+        })
+      );
+    }
+
+    const keyword = await dbGet("SELECT reply FROM sms_keywords WHERE keyword = ?", [
+      normalizeKeyword(message),
+    ]);
+    if (keyword) return reply(keyword.reply);
+
+    if (parsed.looksLikeVote || /^[A-Za-z]$/.test(message)) {
+      // A mistyped vote (a letter that isn't on the ballot, "BAZ", "AA"), not
+      // a pledge - tell the sender what went wrong
+      console.log(`⚠️ Invalid vote: ${phoneNumber} → ${message}`);
+      return reply(parsed.error);
+    }
+
+    const pledge = parsePledge(message);
+    if (!pledge) {
+      // Not for us to guess - an admin can read it in the inbox
+      await dbRun(
+        "INSERT INTO unrecognized_messages (phone_number, body, received_at) VALUES (?, ?, ?)",
+        [phoneNumber, message, new Date().toISOString()]
+      );
+      console.log(`❓ Unrecognized message: ${phoneNumber} → ${message}`);
+      return reply(await smsReply("unrecognized", phoneNumber));
+    }
+    if (pledge.fractional) {
+      return reply(
+        await smsReply("pledge_not_whole", phoneNumber, {
+          amount: pledge.fractional,
+        })
+      );
+    }
+
+    // Donation
+    const donationId = Date.now().toString();
+    const createdAt = new Date().toISOString();
+    await dbRun(
+      "INSERT INTO donations (id, phone, amount, message, tags, gateway, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        donationId,
+        phoneNumber,
+        pledge.amount,
+        pledge.dedication,
+        "twilio",
+        adapter.name,
+        createdAt,
+      ]
+    );
+    console.log(`💰 Donation: ${phoneNumber} → $${pledge.amount}`);
+    // The public stream gets the number masked
+    events.publish(
+      "donation",
+      formatDonation({
+        id: donationId,
+        phone: maskPhone(phoneNumber),
+        amount: pledge.amount,
+        message: pledge.dedication,
+        created_at: createdAt,
+      })
+    );
+
+    const totals = await dbGet(
+      `SELECT COALESCE(SUM(CASE WHEN phone = ? THEN amount END), 0) AS total,
+              COALESCE(SUM(amount), 0) AS event_total
+       FROM donations`,
+      [phoneNumber]
+    );
+    reply(
+      await smsReply("donation_received", phoneNumber, {
+        amount: pledge.amount,
+        total: totals.total,
+        event_total: totals.event_total,
+      })
+    );
+  } catch (error) {
+    console.error("Webhook error:", error);
+    res.status(500).send("Error");
+  }
+}
+
+// Gateways other than Twilio send SMS_WEBHOOK_TOKEN as ?token= in the
+// webhook URL (or an X-Webhook-Token header); without one set they're refused
+function verifyWebhookToken(req, res, next) {
+  const token = req.query.token || req.get("X-Webhook-Token");
+  if (!validateWebhookToken(process.env.SMS_WEBHOOK_TOKEN, token)) {
+    console.log(`⛔ Rejected ${req.path} with a missing or bad webhook token`);
+    return res.status(403).send("Invalid token");
+  }
+  next();
+}
+
+// Inbound gateways, set up once. One that can't be (Vonage without API
+// credentials to reply with) refuses its webhook rather than leave senders
+// without replies.
+const inboundAdapters = new Map();
+const inboundAdapterErrors = new Map();
+for (const name of ADAPTERS) {
+  try {
+    inboundAdapters.set(name, createInboundAdapter(name));
+  } catch (error) {
+    inboundAdapterErrors.set(name, error.message);
+  }
+}
+
+// Messages run under the round lock too - most are votes
+app.post("/api/twilio/webhook", verifyTwilioSignature, (req, res) =>
+  withRoundLock(() => handleSms(inboundAdapters.get("twilio"), req, res))
+);
+
+// Any supported gateway: /api/sms/inbound/twilio, /vonage (or /nexmo),
+// /plivo or /generic. GET too, for Vonage's default webhook method.
+function receiveSms(req, res) {
+  const name = adapterName(req.params.gateway);
+  if (!name) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown SMS gateway "${req.params.gateway}" (expected one of: ${ADAPTERS.join(", ")})`,
+    });
+  }
+  const adapter = inboundAdapters.get(name);
+  if (!adapter) {
+    return res.status(503).json({
+      success: false,
+      error: `The ${name} gateway is not set up: ${inboundAdapterErrors.get(name)}`,
+    });
+  }
+
+  const verify =
+    adapter.name === "twilio" ? verifyTwilioSignature : verifyWebhookToken;
+  verify(req, res, () => withRoundLock(() => handleSms(adapter, req, res)));
+}
+app.get("/api/sms/inbound/:gateway", receiveSms);
+app.post("/api/sms/inbound/:gateway", receiveSms);
+
+// A phone number shortened to its last four digits ("•••0123")
+const maskPhone = (phone) => `•••${String(phone || "").slice(-4)}`;
 
-        res.status(500).json({
-          success: false,
-          error: "Internal server error",
-        });
-      } else {
-        const userData = {
-          id: userId,
-          name: name.trim(),
-          image_url: imageUrl,
-          created_at: new Date().toISOString(),
-          storage_type: USE_SPACES ? "spaces" : "local",
-        };
+// Donation rows in the shape the donation displays expect
+function formatDonation(row) {
+  return {
+    donationId: row.id,
+    display_name: row.phone,
+    date: row.created_at,
+    formData: {
+      attributes: {
+        real_payment: row.amount,
+        dedication: row.message || "",
+      },
+    },
+  };
+}
 
-        console.log(`✅ New submission: ${userData.name}`);
+// Get donations by tags and/or the SMS gateway they came in through
+app.get("/api/donations", (req, res) => {
+  const { tags, gateway } = req.query;
 
-        res.status(201).json({
-          success: true,
-          message: "Form submitted successfully",
-          data: userData,
-        });
-      }
+  const conditions = [];
+  const params = [];
+  if (tags) {
+    conditions.push("tags = ?");
+    params.push(tags);
+  }
+  if (gateway) {
+    conditions.push("gateway = ?");
+    params.push(gateway);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const query = `SELECT * FROM donations ${where} ORDER BY created_at DESC`;
+
+  db.all(query, params, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+    res.json({
+      success: true,
+      data: rows.map(formatDonation),
+      count: rows.length,
     });
+  });
+});
 
-    stmt.finalize();
-  } catch (error) {
-    console.error("Error in form submission:", error.message);
+// ==================== SMS ADMIN ROUTES ====================
 
-    // Clean up uploaded file on error (local only)
-    if (!USE_SPACES && req.file && req.file.path) {
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (unlinkErr) {
-        console.error("Error cleaning up file:", unlinkErr.message);
-      }
-    }
+// Admin-defined keywords
+app.get("/api/sms/keywords", async (req, res) => {
+  try {
+    const keywords = await dbAll("SELECT * FROM sms_keywords ORDER BY keyword");
+    res.json({ success: true, data: keywords, count: keywords.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    res.status(500).json({
-      success: false,
-      error: "Internal server error",
-    });
+// Create or update a keyword: { reply }. Ballot options win over keywords
+// while they are on the ballot.
+app.put("/api/sms/keywords/:keyword", async (req, res) => {
+  const result = validateKeyword(req.params.keyword, req.body.reply);
+  if (!result.valid) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO sms_keywords (keyword, reply, created_at, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(keyword) DO UPDATE SET reply = excluded.reply, updated_at = excluded.updated_at`,
+      [result.keyword, result.reply, now, now]
+    );
+    console.log(`💬 Keyword set: ${result.keyword}`);
+    res.json({ success: true, data: { keyword: result.keyword, reply: result.reply } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// Delete all users (clear gallery) - also removes images from Spaces
-app.delete("/api/users", async (req, res) => {
+app.delete("/api/sms/keywords/:keyword", async (req, res) => {
   try {
-    // First, get all users to find their image paths
-    const users = await new Promise((resolve, reject) => {
-      db.all("SELECT id, image_path FROM users", (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
-
-    // Delete images from Spaces if enabled
-    if (USE_SPACES && spacesEndpoint && users.length > 0) {
-      for (const user of users) {
-        if (user.image_path) {
-          try {
-            await spacesEndpoint
-              .deleteObject({
-                Bucket: process.env.SPACES_BUCKET,
-                Key: user.image_path,
-              })
-              .promise();
-            console.log(`🗑️ Deleted from Spaces: ${user.image_path}`);
-          } catch (e) {
-            console.error(
-              `Failed to delete ${user.image_path} from Spaces:`,
-              e.message
-            );
-          }
-        }
-      }
+    const result = await dbRun("DELETE FROM sms_keywords WHERE keyword = ?", [
+      normalizeKeyword(req.params.keyword),
+    ]);
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: "Keyword not found" });
     }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-    // Clear the database
-    await new Promise((resolve, reject) => {
-      db.run("DELETE FROM users", function (err) {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+// Reply templates: every built-in and customized (name, language) pair
+app.get("/api/sms/templates", async (req, res) => {
+  try {
+    const rows = await dbAll("SELECT * FROM sms_templates");
+    const custom = new Map(rows.map((row) => [`${row.name}/${row.language}`, row]));
+    const languages = [
+      ...new Set([...Object.keys(DEFAULT_TEMPLATES), ...rows.map((row) => row.language)]),
+    ].sort();
 
-    console.log(`✅ Cleared ${users.length} users and their images`);
-    res.json({ success: true, message: `Cleared ${users.length} images` });
-  } catch (error) {
-    console.error("Error clearing users:", error);
-    res.status(500).json({ success: false, error: "Failed to clear gallery" });
+    const templates = TEMPLATE_NAMES.flatMap((name) =>
+      languages
+        .map((language) => {
+          const row = custom.get(`${name}/${language}`);
+          const body = row?.body || DEFAULT_TEMPLATES[language]?.[name];
+          if (!body) return null;
+          return {
+            name,
+            language,
+            body,
+            custom: !!row,
+            placeholders: TEMPLATE_PLACEHOLDERS[name],
+          };
+        })
+        .filter(Boolean)
+    );
+    res.json({ success: true, data: templates, count: templates.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ==================== VOTING API ROUTES ====================
+// Customize a template for a language: { body }
+app.put("/api/sms/templates/:name/:language", async (req, res) => {
+  const result = validateTemplate(req.params.name, req.params.language, req.body.body);
+  if (!result.valid) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
 
-// Get votes
-app.get("/api/votes", (req, res) => {
-  db.all("SELECT * FROM votes ORDER BY created_at DESC", (err, votes) => {
-    if (err) return res.status(500).json({ error: err.message });
-
-    db.get("SELECT * FROM voting_config WHERE id = 1", (err, config) => {
-      if (err) return res.status(500).json({ error: err.message });
-
-      db.all(
-        "SELECT * FROM voting_history ORDER BY ended_at DESC",
-        (err, history) => {
-          // Also fetch pending votes
-          db.all(
-            "SELECT * FROM pending_votes ORDER BY created_at DESC",
-            (err, pendingVotes) => {
-              res.json({
-                currentRound: config?.current_round || 1,
-                roundStatus: config?.status || "stopped",
-                votes: votes || [],
-                pendingVotes: pendingVotes || [],
-                roundHistory: (history || []).map((h) => ({
-                  round: h.round,
-                  votes: JSON.parse(h.votes_json),
-                  endedAt: h.ended_at,
-                })),
-              });
-            }
-          );
-        }
-      );
+  try {
+    const now = new Date().toISOString();
+    await dbRun(
+      `INSERT INTO sms_templates (name, language, body, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(name, language) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`,
+      [result.name, result.language, result.body, now]
+    );
+    console.log(`💬 Template set: ${result.name} (${result.language})`);
+    res.json({
+      success: true,
+      data: { name: result.name, language: result.language, body: result.body, custom: true },
     });
-  });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// Submit vote
-app.post("/api/votes", (req, res) => {
-  const { phoneNumber, letter } = req.body;
+// Back to the built-in text
+app.delete("/api/sms/templates/:name/:language", async (req, res) => {
+  try {
+    const result = await dbRun(
+      "DELETE FROM sms_templates WHERE name = ? AND language = ?",
+      [req.params.name, String(req.params.language).toLowerCase()]
+    );
+    if (result.changes === 0) {
+      return res.status(404).json({ success: false, error: "No custom template to remove" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-  db.get(
-    "SELECT current_round, status FROM voting_config WHERE id = 1",
-    (err, config) => {
-      if (err) return res.status(500).json({ error: err.message });
+// Messages nobody could make sense of, newest first
+app.get("/api/sms/unrecognized", async (req, res) => {
+  try {
+    const messages = await dbAll(
+      "SELECT * FROM unrecognized_messages ORDER BY received_at DESC LIMIT ?",
+      [parseLimit(req.query.limit)]
+    );
+    res.json({ success: true, data: messages, count: messages.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-      // If voting is not running, store as pending vote instead of rejecting
-      if (config?.status !== "running") {
-        // Store in pending_votes table
-        db.run(
-          "INSERT INTO pending_votes (phone_number, letter, created_at) VALUES (?, ?, ?)",
-          [phoneNumber, letter.toUpperCase(), new Date().toISOString()],
-          function (err) {
-            if (err) return res.status(500).json({ error: err.message });
-
-            console.log(`📝 Pending vote stored: ${phoneNumber} → ${letter.toUpperCase()}`);
-            res.json({
-              success: true,
-              pending: true,
-              vote: {
-                id: this.lastID.toString(),
-                phoneNumber,
-                letter: letter.toUpperCase(),
-                createdAt: new Date().toISOString(),
-              },
-            });
-          }
-        );
-        return;
-      }
+// Dismiss one message, or all of them (DELETE /api/sms/unrecognized)
+app.delete("/api/sms/unrecognized/:id?", async (req, res) => {
+  try {
+    const result = req.params.id
+      ? await dbRun("DELETE FROM unrecognized_messages WHERE id = ?", [
+          req.params.id,
+        ])
+      : await dbRun("DELETE FROM unrecognized_messages");
+    if (req.params.id && result.changes === 0) {
+      return res.status(404).json({ success: false, error: "Message not found" });
+    }
+    res.json({ success: true, deleted: result.changes });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-      const currentRound = config?.current_round || 1;
+// Numbers that texted STOP
+app.get("/api/sms/opt-outs", async (req, res) => {
+  try {
+    const optOuts = await dbAll(
+      "SELECT * FROM sms_opt_outs ORDER BY opted_out_at DESC"
+    );
+    res.json({ success: true, data: optOuts, count: optOuts.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-      db.get(
-        "SELECT * FROM votes WHERE phone_number = ? AND round = ?",
-        [phoneNumber, currentRound],
-        (err, existing) => {
-          if (existing) {
-            return res.status(400).json({
-              success: false,
-              error: "Phone number already voted in this round",
-            });
-          }
+// ==================== BROADCASTS ====================
 
-          db.run(
-            "INSERT INTO votes (phone_number, letter, round, created_at) VALUES (?, ?, ?, ?)",
-            [
-              phoneNumber,
-              letter.toUpperCase(),
-              currentRound,
-              new Date().toISOString(),
-            ],
-            function (err) {
-              if (err) return res.status(500).json({ error: err.message });
-
-              res.json({
-                success: true,
-                vote: {
-                  id: this.lastID.toString(),
-                  phoneNumber,
-                  letter: letter.toUpperCase(),
-                  round: currentRound,
-                  createdAt: new Date().toISOString(),
-                },
-              });
-            }
-          );
+// Recipients for a validated audience: { recipients } mapping E.164 number
+// -> { letter, round, amount }, or { error } when the audience can't be
+// resolved. A number in several sources gets the values of each (the first
+// source wins where they overlap).
+async function resolveAudience(audience) {
+  const recipients = new Map();
+  const add = async (raw, values) => {
+    const phone = await toE164(raw);
+    if (phone) recipients.set(phone, { ...values, ...recipients.get(phone) });
+  };
+  const wantsOption = (entry, vote) =>
+    !entry.option || voteChoices(vote).includes(entry.option);
+
+  for (const entry of audience) {
+    if (entry.source === "votes") {
+      const config = entry.round
+        ? null
+        : await dbGet("SELECT current_round FROM voting_config WHERE id = 1");
+      if (!entry.round && !config) {
+        return { error: "There is no current round - give the audience a round" };
+      }
+      const round = entry.round || config.current_round;
+      const votes = await dbAll("SELECT * FROM votes WHERE round = ?", [round]);
+      for (const vote of votes.filter((v) => wantsOption(entry, v))) {
+        await add(vote.phone_number, { letter: vote.letter, round: vote.round });
+      }
+    } else if (entry.source === "voting_history") {
+      const history = entry.round
+        ? await dbAll("SELECT votes_json FROM voting_history WHERE round = ?", [entry.round])
+        : await dbAll("SELECT votes_json FROM voting_history ORDER BY ended_at DESC");
+      for (const h of history) {
+        for (const vote of JSON.parse(h.votes_json).filter((v) => wantsOption(entry, v))) {
+          await add(vote.phone_number, { letter: vote.letter, round: vote.round });
         }
+      }
+    } else if (entry.source === "donations") {
+      const conditions = ["phone IS NOT NULL"];
+      const params = [];
+      if (entry.tags !== undefined) {
+        conditions.push("tags = ?");
+        params.push(entry.tags);
+      }
+      if (entry.from) {
+        conditions.push("created_at >= ?");
+        params.push(entry.from);
+      }
+      if (entry.to) {
+        conditions.push("created_at <= ?");
+        params.push(entry.to);
+      }
+      const donors = await dbAll(
+        `SELECT phone, SUM(amount) AS amount FROM donations
+         WHERE ${conditions.join(" AND ")} GROUP BY phone`,
+        params
       );
+      for (const donor of donors) {
+        await add(donor.phone, { amount: donor.amount });
+      }
     }
+  }
+  return { recipients };
+}
+
+// A broadcast with its message counts by status
+function formatBroadcast(row, counts = []) {
+  const byStatus = Object.fromEntries(counts.map((c) => [c.status, c.count]));
+  return {
+    ...row,
+    audience: JSON.parse(row.audience),
+    recipients: counts.reduce((sum, c) => sum + c.count, 0),
+    counts: byStatus,
+  };
+}
+
+async function getBroadcast(id) {
+  const row = await dbGet("SELECT * FROM broadcasts WHERE id = ?", [id]);
+  if (!row) return null;
+  const counts = await dbAll(
+    `SELECT status, COUNT(*) AS count FROM broadcast_messages
+     WHERE broadcast_id = ? GROUP BY status`,
+    [id]
   );
-});
+  return formatBroadcast(row, counts);
+}
 
-// Delete vote
-app.delete("/api/votes/:voteId", (req, res) => {
-  db.run("DELETE FROM votes WHERE id = ?", [req.params.voteId], (err) => {
-    if (err) return res.status(500).json({ error: err.message });
-    res.json({ success: true });
+// Broadcast progress. Counts only - recipients stay off the public stream.
+async function publishBroadcast(id) {
+  const broadcast = await getBroadcast(id);
+  if (!broadcast) return;
+  events.publish("broadcast", {
+    id: broadcast.id,
+    name: broadcast.name,
+    status: broadcast.status,
+    recipients: broadcast.recipients,
+    counts: broadcast.counts,
   });
-});
+}
 
-// Update voting status
-app.post("/api/votes/status", (req, res) => {
-  const { status } = req.body;
+// Mark a broadcast completed once nothing of it is left in the queue
+async function finishBroadcastIfDone(id) {
+  const queued = await dbGet(
+    "SELECT COUNT(*) AS count FROM broadcast_messages WHERE broadcast_id = ? AND status = 'queued'",
+    [id]
+  );
+  if (queued.count > 0) return;
 
-  db.get("SELECT * FROM voting_config WHERE id = 1", (err, config) => {
-    if (err) return res.status(500).json({ error: err.message });
+  const result = await dbRun(
+    "UPDATE broadcasts SET status = 'completed', finished_at = ? WHERE id = ? AND status = 'sending'",
+    [new Date().toISOString(), id]
+  );
+  if (result.changes > 0) {
+    console.log(`📣 Broadcast ${id} completed`);
+    await publishBroadcast(id);
+  }
+}
 
-    const oldStatus = config?.status || "stopped";
+// Where providers report delivery status, when there is a public URL for it.
+// Twilio signs its reports; other providers send SMS_WEBHOOK_TOKEN back.
+function smsStatusCallbackUrl() {
+  if (!process.env.PUBLIC_URL) return undefined;
+  const url = `${process.env.PUBLIC_URL.replace(/\/$/, "")}/api/sms/status`;
+  return smsProvider.name === "twilio" || !process.env.SMS_WEBHOOK_TOKEN
+    ? url
+    : `${url}?token=${encodeURIComponent(process.env.SMS_WEBHOOK_TOKEN)}`;
+}
 
-    if (status === "stopped" && oldStatus !== "stopped") {
-      // Archive current round
-      db.all(
-        "SELECT * FROM votes WHERE round = ?",
-        [config.current_round],
-        (err, roundVotes) => {
-          if (!err && roundVotes.length > 0) {
-            db.run(
-              "INSERT INTO voting_history (round, votes_json, ended_at) VALUES (?, ?, ?)",
-              [
-                config.current_round,
-                JSON.stringify(roundVotes),
-                new Date().toISOString(),
-              ]
-            );
-          }
+async function sendBroadcastMessage(message) {
+  const now = new Date().toISOString();
 
-          // Clear votes and increment round
-          db.run("DELETE FROM votes WHERE round = ?", [config.current_round]);
-          db.run(
-            "UPDATE voting_config SET status = ?, current_round = current_round + 1 WHERE id = 1",
-            [status],
-            (err) => {
-              if (err) return res.status(500).json({ error: err.message });
-
-              db.get(
-                "SELECT * FROM voting_config WHERE id = 1",
-                (err, newConfig) => {
-                  res.json({
-                    success: true,
-                    currentRound: newConfig?.current_round || 1,
-                    roundStatus: newConfig?.status || "stopped",
-                  });
-                }
-              );
-            }
-          );
-        }
-      );
-    } else {
-      // If changing to "running", clear pending votes (discard them)
-      if (status === "running") {
-        db.run("DELETE FROM pending_votes", (err) => {
-          if (err) console.error("Error clearing pending votes:", err.message);
-          else console.log("🗑️ Cleared pending votes on voting start");
-        });
+  // A STOP can arrive after the broadcast was queued
+  const optedOut = await dbGet(
+    "SELECT 1 FROM sms_opt_outs WHERE phone_number = ?",
+    [message.phone_number]
+  );
+  if (optedOut) {
+    await dbRun(
+      "UPDATE broadcast_messages SET status = 'skipped', error = ?, updated_at = ? WHERE id = ?",
+      ["Opted out", now, message.id]
+    );
+    return;
+  }
+
+  try {
+    const sent = await smsProvider.send({
+      to: message.phone_number,
+      body: message.body,
+      statusCallback: smsStatusCallbackUrl(),
+    });
+    await dbRun(
+      `UPDATE broadcast_messages SET status = ?, provider_id = ?, sent_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [sent.status, sent.id, now, now, message.id]
+    );
+  } catch (error) {
+    console.error(`Error sending broadcast message ${message.id}:`, error.message);
+    await dbRun(
+      "UPDATE broadcast_messages SET status = 'failed', error = ?, updated_at = ? WHERE id = ?",
+      [error.message, now, message.id]
+    );
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let broadcastQueueRunning = false;
+let broadcastQueueKicked = false;
+
+// Send queued broadcast messages one at a time, oldest first, at most
+// broadcast_rate_per_second. Calling it while it runs makes it check the
+// queue once more before it stops.
+async function runBroadcastQueue() {
+  // Queued messages wait for a provider to be configured
+  if (!smsProvider) return;
+  if (broadcastQueueRunning) {
+    broadcastQueueKicked = true;
+    return;
+  }
+
+  broadcastQueueRunning = true;
+  try {
+    do {
+      broadcastQueueKicked = false;
+      let message;
+      while (
+        (message = await dbGet(
+          "SELECT * FROM broadcast_messages WHERE status = 'queued' ORDER BY id LIMIT 1"
+        ))
+      ) {
+        await sendBroadcastMessage(message);
+        await finishBroadcastIfDone(message.broadcast_id);
+
+        const rate = Number(await getConfig("broadcast_rate_per_second"));
+        await sleep(1000 / (rate > 0 ? rate : 1));
       }
+    } while (broadcastQueueKicked);
+  } finally {
+    broadcastQueueRunning = false;
+  }
+}
 
-      db.run(
-        "UPDATE voting_config SET status = ? WHERE id = 1",
-        [status],
-        (err) => {
-          if (err) return res.status(500).json({ error: err.message });
-          res.json({
-            success: true,
-            currentRound: config?.current_round || 1,
-            roundStatus: status,
-          });
-        }
-      );
+const kickBroadcastQueue = () =>
+  runBroadcastQueue().catch((error) =>
+    console.error("Error sending broadcasts:", error.message)
+  );
+
+// Broadcasts, newest first
+app.get("/api/broadcasts", async (req, res) => {
+  try {
+    const rows = await dbAll("SELECT * FROM broadcasts ORDER BY id DESC");
+    const counts = await dbAll(
+      `SELECT broadcast_id, status, COUNT(*) AS count FROM broadcast_messages
+       GROUP BY broadcast_id, status`
+    );
+    const broadcasts = rows.map((row) =>
+      formatBroadcast(
+        row,
+        counts.filter((c) => c.broadcast_id === row.id)
+      )
+    );
+    res.json({ success: true, data: broadcasts, count: broadcasts.length });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// One broadcast and its messages (?status=failed narrows them down)
+app.get("/api/broadcasts/:id", async (req, res) => {
+  try {
+    const broadcast = await getBroadcast(req.params.id);
+    if (!broadcast) {
+      return res.status(404).json({ success: false, error: "Broadcast not found" });
     }
-  });
+
+    const params = [broadcast.id];
+    let query = "SELECT * FROM broadcast_messages WHERE broadcast_id = ?";
+    if (req.query.status) {
+      query += " AND status = ?";
+      params.push(String(req.query.status));
+    }
+    query += " ORDER BY id LIMIT ?";
+    params.push(parseLimit(req.query.limit));
+
+    const messages = await dbAll(query, params);
+    res.json({ success: true, data: { ...broadcast, messages } });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// Clear voting display
-app.post("/api/votes/clear", (req, res) => {
-  db.get("SELECT * FROM voting_config WHERE id = 1", (err, config) => {
-    if (err) return res.status(500).json({ error: err.message });
+// Start a broadcast: { name?, body, audience, dry_run? }. The body can use
+// {letter}, {round} and {amount}; opted-out and blocked numbers are skipped.
+// With dry_run nothing is stored or sent - the response shows who would get
+// what.
+app.post("/api/broadcasts", async (req, res) => {
+  const result = validateBroadcast(req.body);
+  if (!result.valid) {
+    return res.status(400).json({ success: false, error: result.error });
+  }
+  if (!smsProvider && !req.body.dry_run) {
+    return res.status(503).json({
+      success: false,
+      error: `Outbound SMS is not configured: ${smsProviderError}`,
+    });
+  }
+
+  try {
+    const { recipients, error } = await resolveAudience(result.audience);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const optedOut = new Set(
+      (await dbAll("SELECT phone_number FROM sms_opt_outs")).map((row) => row.phone_number)
+    );
 
-    db.all(
-      "SELECT * FROM votes WHERE round = ?",
-      [config.current_round],
-      (err, votes) => {
-        if (!err && votes.length > 0) {
-          db.run(
-            "INSERT INTO voting_history (round, votes_json, ended_at) VALUES (?, ?, ?)",
-            [
-              config.current_round,
-              JSON.stringify(votes),
-              new Date().toISOString(),
-            ]
-          );
-        }
+    const messages = [];
+    for (const [phone, values] of recipients) {
+      const skipReason = optedOut.has(phone)
+        ? "Opted out"
+        : (await findBlock(phone))
+        ? "Blocked"
+        : null;
+      messages.push({
+        phone_number: phone,
+        body: renderTemplate(result.body, { letter: "", round: "", amount: 0, ...values }),
+        status: skipReason ? "skipped" : "queued",
+        error: skipReason,
+      });
+    }
 
-        db.run(
-          "DELETE FROM votes WHERE round = ?",
-          [config.current_round],
-          (err) => {
-            if (err) return res.status(500).json({ error: err.message });
-
-            db.run(
-              "UPDATE voting_config SET status = ? WHERE id = 1",
-              ["stopped"],
-              (err) => {
-                if (err) return res.status(500).json({ error: err.message });
-                res.json({ success: true });
-              }
-            );
-          }
+    const queued = messages.filter((m) => m.status === "queued").length;
+    if (req.body.dry_run) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        recipients: messages.length,
+        queued,
+        skipped: messages.length - queued,
+        data: messages.slice(0, 20),
+      });
+    }
+    if (messages.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: "The audience has no recipients" });
+    }
+
+    const now = new Date().toISOString();
+    const id = await inTransaction(async () => {
+      const broadcast = await dbRun(
+        "INSERT INTO broadcasts (name, body, audience, status, created_at) VALUES (?, ?, ?, 'sending', ?)",
+        [result.name, result.body, JSON.stringify(result.audience), now]
+      );
+      for (const message of messages) {
+        await dbRun(
+          `INSERT INTO broadcast_messages (broadcast_id, phone_number, body, status, error, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [broadcast.lastID, message.phone_number, message.body, message.status, message.error, now]
         );
       }
+      return broadcast.lastID;
+    });
+
+    console.log(
+      `📣 Broadcast ${id} queued: ${queued} message(s), ${messages.length - queued} skipped`
     );
-  });
+    await finishBroadcastIfDone(id);
+    await publishBroadcast(id);
+    kickBroadcastQueue();
+
+    res.status(201).json({ success: true, data: await getBroadcast(id) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
 });
 
-// Twilio webhook
-app.post("/api/twilio/webhook", (req, res) => {
+// Stop a broadcast: messages not sent yet are cancelled
+app.post("/api/broadcasts/:id/cancel", async (req, res) => {
   try {
-    const { From, Body } = req.body;
-    if (!From || !Body) return res.status(400).send("Missing fields");
+    const broadcast = await dbGet("SELECT * FROM broadcasts WHERE id = ?", [req.params.id]);
+    if (!broadcast) {
+      return res.status(404).json({ success: false, error: "Broadcast not found" });
+    }
+    if (broadcast.status !== "sending") {
+      return res
+        .status(409)
+        .json({ success: false, error: `Broadcast is already ${broadcast.status}` });
+    }
 
-    const phoneNumber = From;
-    const message = Body.trim();
-    const isSingleLetter = /^[A-Fa-f]$/i.test(message);
+    const now = new Date().toISOString();
+    const cancelled = await inTransaction(async () => {
+      const result = await dbRun(
+        `UPDATE broadcast_messages SET status = 'cancelled', updated_at = ?
+         WHERE broadcast_id = ? AND status = 'queued'`,
+        [now, broadcast.id]
+      );
+      await dbRun(
+        "UPDATE broadcasts SET status = 'cancelled', finished_at = ? WHERE id = ?",
+        [now, broadcast.id]
+      );
+      return result.changes;
+    });
 
-    if (isSingleLetter) {
-      // Vote
-      const letter = message.toUpperCase();
-
-      db.get(
-        "SELECT current_round, status FROM voting_config WHERE id = 1",
-        (err, config) => {
-          // If voting is not running, store as pending vote
-          if (config?.status !== "running") {
-            db.run(
-              "INSERT INTO pending_votes (phone_number, letter, created_at) VALUES (?, ?, ?)",
-              [phoneNumber, letter, new Date().toISOString()],
-              (err) => {
-                if (!err)
-                  console.log(`📝 Pending vote stored: ${phoneNumber} → ${letter}`);
-                else
-                  console.log(`⚠️ Error storing pending vote: ${err.message}`);
-              }
-            );
-            return;
-          }
+    console.log(`📣 Broadcast ${broadcast.id} cancelled (${cancelled} unsent)`);
+    await publishBroadcast(broadcast.id);
+    res.json({ success: true, cancelled, data: await getBroadcast(broadcast.id) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
 
-          const currentRound = config?.current_round || 1;
-
-          db.get(
-            "SELECT * FROM votes WHERE phone_number = ? AND round = ?",
-            [phoneNumber, currentRound],
-            (err, existing) => {
-              if (!existing) {
-                db.run(
-                  "INSERT INTO votes (phone_number, letter, round, created_at) VALUES (?, ?, ?, ?)",
-                  [phoneNumber, letter, currentRound, new Date().toISOString()],
-                  (err) => {
-                    if (!err)
-                      console.log(`✅ Vote: ${phoneNumber} → ${letter}`);
-                  }
-                );
-              } else {
-                console.log(`⚠️ Duplicate vote: ${phoneNumber}`);
-              }
-            }
-          );
-        }
-      );
+// Delivery reports from the provider. Reports can arrive out of order, so a
+// message's status only ever moves forward (sent -> delivered/failed).
+function verifyStatusCallback(req, res, next) {
+  if (!smsProvider) return res.status(404).send("Outbound SMS is not configured");
+  return smsProvider.name === "twilio"
+    ? verifyTwilioSignature(req, res, next)
+    : verifyWebhookToken(req, res, next);
+}
 
-      res.type("text/xml").send("<Response></Response>");
-    } else {
-      // Donation
-      const amountMatch = message.match(/\d+/);
-      const amount = amountMatch ? parseInt(amountMatch[0]) : 0;
-      const dedication =
-        message.trim() === (amountMatch?.[0] || "") ? "" : message;
-
-      const donationId = Date.now().toString();
-      db.run(
-        "INSERT INTO donations (id, phone, amount, message, tags, created_at) VALUES (?, ?, ?, ?, ?, ?)",
-        [
-          donationId,
-          phoneNumber,
-          amount,
-          dedication,
-          "twilio",
-          new Date().toISOString(),
-        ],
-        (err) => {
-          if (err) console.error("Donation error:", err);
-          else console.log(`💰 Donation: ${phoneNumber} → $${amount}`);
-        }
-      );
+app.post("/api/sms/status", verifyStatusCallback, async (req, res) => {
+  const update = smsProvider.parseStatusCallback(req.body);
+  if (!update) return res.status(400).send("Unrecognized status report");
 
-      // Auto-reply from config
-      db.get(
-        "SELECT value FROM app_config WHERE key = 'auto_reply_message'",
-        (err, row) => {
-          const reply = row?.value || "Thank you for your pledge!";
-          res
-            .type("text/xml")
-            .send(`<Response><Message>${reply}</Message></Response>`);
-        }
+  try {
+    const message = await dbGet(
+      "SELECT * FROM broadcast_messages WHERE provider_id = ?",
+      [update.id]
+    );
+    if (message && isStatusUpgrade(message.status, update.status)) {
+      await dbRun(
+        "UPDATE broadcast_messages SET status = ?, error = COALESCE(?, error), updated_at = ? WHERE id = ?",
+        [update.status, update.error, new Date().toISOString(), message.id]
       );
     }
+    res.sendStatus(204);
   } catch (error) {
-    console.error("Webhook error:", error);
+    console.error("Status callback error:", error);
     res.status(500).send("Error");
   }
 });
 
-// Get donations by tags
-app.get("/api/donations", (req, res) => {
-  const { tags } = req.query;
-
-  let query = "SELECT * FROM donations ORDER BY created_at DESC";
-  let params = [];
-
-  if (tags) {
-    query = "SELECT * FROM donations WHERE tags = ? ORDER BY created_at DESC";
-    params = [tags];
+// What the fake provider has "sent" since startup (SMS_PROVIDER=fake)
+app.get("/api/sms/fake-outbox", (req, res) => {
+  if (smsProvider?.name !== "fake") {
+    return res.status(404).json({ success: false, error: "The fake SMS provider is not in use" });
   }
+  res.json({ success: true, data: smsProvider.sent, count: smsProvider.sent.length });
+});
 
-  db.all(query, params, (err, rows) => {
-    if (err) {
-      return res.status(500).json({ success: false, error: err.message });
-    }
-    res.json({
-      success: true,
-      data: rows.map((row) => ({
-        donationId: row.id,
-        display_name: row.phone,
-        date: row.created_at,
-        formData: {
-          attributes: {
-            real_payment: row.amount,
-            dedication: row.message || "",
-          },
-        },
-      })),
-      count: rows.length,
-    });
-  });
+app.delete("/api/sms/fake-outbox", (req, res) => {
+  if (smsProvider?.name !== "fake") {
+    return res.status(404).json({ success: false, error: "The fake SMS provider is not in use" });
+  }
+  smsProvider.sent.length = 0;
+  res.json({ success: true });
 });
 
 // Serve React app for all non-API routes (this must be last!)
@@ -935,14 +4574,24 @@ app.use((error, req, res, next) => {
       return res.status(400).json({
         success: false,
         error: "File too large. Maximum size is 10MB.",
+        code: "FILE_TOO_LARGE",
       });
     }
   }
 
-  if (error.message === "Only image files (JPG, PNG, GIF, WebP) are allowed!") {
+  if (error.message === INVALID_IMAGE_TYPE) {
     return res.status(400).json({
       success: false,
-      error: "Only image files (JPG, PNG, GIF, WebP) are allowed!",
+      error: INVALID_IMAGE_TYPE,
+      code: "UNSUPPORTED_FILE_TYPE",
+    });
+  }
+
+  // express.raw() body limit on upload chunks
+  if (error.type === "entity.too.large") {
+    return res.status(413).json({
+      success: false,
+      error: "Chunk too large",
     });
   }
 
@@ -974,6 +4623,29 @@ process.on("SIGINT", () => {
   });
 });
 
+// Purge expired trash and abandoned uploads at startup and then hourly
+const runTrashPurge = () => {
+  purgeTrash().catch((error) =>
+    console.error("Error purging trash:", error.message)
+  );
+  purgeStaleUploads().catch((error) =>
+    console.error("Error purging upload sessions:", error.message)
+  );
+};
+setTimeout(runTrashPurge, 5000);
+setInterval(runTrashPurge, 60 * 60 * 1000);
+
+// Upload completions cut short by a restart can be retried
+dbRun("UPDATE upload_sessions SET status = 'open' WHERE status = 'completing'").catch(
+  (error) => console.error("Error reopening upload sessions:", error.message)
+);
+
+// Pick up timed rounds from before a restart
+scheduleRoundTimer();
+
+// Finish broadcasts interrupted by a restart
+kickBroadcastQueue();
+
 app.listen(PORT, () => {
   console.log(`🚀 Form Submission App running on port ${PORT}`);
   console.log(`📋 Health check: http://localhost:${PORT}/api/health`);
@@ -988,4 +4660,18 @@ app.listen(PORT, () => {
     console.log(`🔧 Development: Run React separately on port 3000`);
     console.log(`🔗 API endpoints: http://localhost:${PORT}/api/*`);
   }
+
+  if (!TWILIO_VERIFY_SIGNATURE) {
+    console.log("⚠️ Twilio signature verification is OFF (TWILIO_VERIFY_SIGNATURE=false)");
+  } else if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.log("⚠️ TWILIO_AUTH_TOKEN is not set - the Twilio webhook will refuse every request");
+  }
+  if (!smsProvider) {
+    console.log(`⚠️ Outbound SMS is off - broadcasts won't send (${smsProviderError})`);
+  } else if (smsProvider.name === "fake") {
+    console.log("⚠️ SMS_PROVIDER=fake - broadcasts are recorded, not sent");
+  }
+  if (!process.env.SMS_WEBHOOK_TOKEN) {
+    console.log("⚠️ SMS_WEBHOOK_TOKEN is not set - Vonage, Plivo and generic SMS webhooks will refuse every request");
+  }
 });
@@ -2,8 +2,10 @@ const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { signRequest } = require('./lib/twilio');
 
 const BACKEND_URL = 'http://localhost:3001';
+const WEBHOOK_URL = process.env.TWILIO_WEBHOOK_URL || `${BACKEND_URL}/api/twilio/webhook`;
 
 async function testFormSubmissionAPI() {
   console.log('🧪 Testing Form Submission API...\n');
@@ -123,6 +125,47 @@ async function testValidation() {
   console.log('\n✅ Validation tests completed!');
 }
 
+// Post an SMS to the webhook the way Twilio would, signed with
+// TWILIO_AUTH_TOKEN (or `authToken`) so it passes signature verification
+async function sendFakeSms(from, body, authToken = process.env.TWILIO_AUTH_TOKEN) {
+  const params = { From: from, Body: body, To: '+15550000000', MessageSid: `SM${Date.now()}` };
+  return axios.post(WEBHOOK_URL, new URLSearchParams(params).toString(), {
+    headers: signRequest(authToken, WEBHOOK_URL, params)
+  });
+}
+
+// Test the Twilio webhook's signature check
+async function testTwilioWebhook() {
+  console.log('\n🧪 Testing Twilio Webhook...\n');
+
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    console.log('⚠️ Set TWILIO_AUTH_TOKEN (the same as the backend\'s) to run these tests');
+    return;
+  }
+
+  try {
+    console.log('1. Testing a signed message...');
+    const response = await sendFakeSms('+15555550123', '25');
+    console.log('✅ Signed message accepted:', response.data);
+  } catch (error) {
+    console.error('❌ Signed message failed:', error.response?.status, error.response?.data || error.message);
+  }
+
+  try {
+    console.log('\n2. Testing a message signed with the wrong token...');
+    await sendFakeSms('+15555550123', '25', 'not-the-token');
+    console.log('❌ Message with a bad signature was accepted');
+  } catch (error) {
+    if (error.response?.status === 403) {
+      console.log('✅ Bad signature rejected');
+    } else {
+      console.error('❌ Bad signature got the wrong answer (expected 403):', error.response?.status, error.response?.data || error.message);
+    }
+  }
+
+  console.log('\n✅ Twilio webhook tests completed!');
+}
+
 // Run tests
 async function runAllTests() {
   await testFormSubmissionAPI();
@@ -135,9 +178,11 @@ if (require.main === module) {
   
   if (args.includes('--validation')) {
     testValidation().catch(console.error);
+  } else if (args.includes('--twilio')) {
+    testTwilioWebhook().catch(console.error);
   } else {
     runAllTests().catch(console.error);
   }
 }
 
-module.exports = { testFormSubmissionAPI, testValidation };
\ No newline at end of file
+module.exports = { testFormSubmissionAPI, testValidation, testTwilioWebhook, sendFakeSms };
\ No newline at end of file
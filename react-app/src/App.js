@@ -1,5 +1,6 @@
 import React from 'react';
 import SubmissionForm from './components/SubmissionForm';
+import Gallery from './components/Gallery';
 import './App.css';
 
 function App() {
@@ -12,6 +13,7 @@ function App() {
       
       <main className="App-main">
         <SubmissionForm />
+        <Gallery />
       </main>
       
       <footer className="App-footer">
@@ -0,0 +1,134 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import "./Gallery.css";
+
+const PAGE_SIZE = 24;
+const POLL_INTERVAL = 10000; // 10 seconds
+
+// Responsive image using the server-generated variants when available
+const GalleryImage = ({ item }) => {
+  const medium = item.variants?.medium;
+
+  if (!medium) {
+    return <img src={item.image_url} alt={item.name} loading="lazy" />;
+  }
+
+  return (
+    <picture>
+      {medium.avif && <source type="image/avif" srcSet={medium.avif} />}
+      {medium.webp && <source type="image/webp" srcSet={medium.webp} />}
+      <img src={medium.jpeg || item.image_url} alt={item.name} loading="lazy" />
+    </picture>
+  );
+};
+
+const Gallery = () => {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Newest item we've seen - polling asks only for items after it
+  const latestCursor = useRef(null);
+
+  // Load the first page (no cursor) or the page after `cursor`
+  const loadPage = useCallback(async (cursor) => {
+    setIsLoading(true);
+    setError("");
+
+    try {
+      const response = await axios.get("/api/users", {
+        params: { limit: PAGE_SIZE, cursor: cursor || undefined },
+      });
+      const { data, next_cursor, latest_cursor } = response.data;
+
+      setItems((prev) => (cursor ? [...prev, ...data] : data));
+      setTotal(response.data.total);
+      setNextCursor(next_cursor);
+      if (!cursor) {
+        latestCursor.current = latest_cursor;
+      }
+    } catch (err) {
+      console.error("Gallery error:", err);
+      setError("Could not load the gallery. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  // Poll for new submissions, oldest first, so a burst larger than one page
+  // is picked up over the next few polls instead of being skipped
+  useEffect(() => {
+    const timer = setInterval(async () => {
+      try {
+        const response = await axios.get("/api/users", {
+          params: {
+            limit: PAGE_SIZE,
+            sort: "oldest",
+            since: latestCursor.current || undefined,
+          },
+        });
+        const { data, has_more, next_cursor, latest_cursor } = response.data;
+
+        latestCursor.current = has_more ? next_cursor : latest_cursor;
+        if (data.length === 0) return;
+
+        setItems((prev) => {
+          const known = new Set(prev.map((item) => item.id));
+          const fresh = data.filter((item) => !known.has(item.id));
+          return [...fresh.reverse(), ...prev];
+        });
+        setTotal((count) => count + data.length);
+      } catch (err) {
+        // Keep showing what we have; the next poll will retry
+        console.error("Gallery poll error:", err);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <section className="gallery">
+      <div className="gallery-header">
+        <h2 className="gallery-title">Gallery</h2>
+        <p className="gallery-count">
+          Showing {items.length} of {total}
+        </p>
+      </div>
+
+      {error && <div className="message error">{error}</div>}
+
+      {items.length === 0 && !isLoading && !error ? (
+        <p className="gallery-empty">No submissions yet.</p>
+      ) : (
+        <div className="gallery-grid">
+          {items.map((item) => (
+            <figure key={item.id} className="gallery-item">
+              <GalleryImage item={item} />
+              <figcaption>{item.name}</figcaption>
+            </figure>
+          ))}
+        </div>
+      )}
+
+      {nextCursor && (
+        <button
+          type="button"
+          className="load-more-btn"
+          onClick={() => loadPage(nextCursor)}
+          disabled={isLoading}
+        >
+          {isLoading ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default Gallery;
@@ -1,7 +1,7 @@
 import React, { useState } from "react";
 import { useDropzone } from "react-dropzone";
-import axios from "axios";
 import ImageCropModal from "./ImageCropModal";
+import { resumableUpload } from "../utils/resumableUpload";
 import "./SubmissionForm.css";
 
 const SubmissionForm = () => {
@@ -13,6 +13,7 @@ const SubmissionForm = () => {
   const [cropModalOpen, setCropModalOpen] = useState(false);
   const [tempImageSrc, setTempImageSrc] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
   const [message, setMessage] = useState({ type: "", text: "" });
 
   // Handle form input changes
@@ -120,20 +121,26 @@ const SubmissionForm = () => {
     }
 
     setIsSubmitting(true);
+    setUploadProgress(0);
     setMessage({ type: "", text: "" });
 
     try {
-      // Create FormData
-      const submitData = new FormData();
-      submitData.append("name", formData.name.trim());
-      submitData.append("image", selectedFile, "cropped-image.jpg");
-
-      // Submit to backend
-      const response = await axios.post("/api/submit", submitData, {
-        headers: {
-          "Content-Type": "multipart/form-data",
-        },
-      });
+      // Upload in resumable chunks so a Wi-Fi drop doesn't start us over
+      const response = await resumableUpload(
+        selectedFile,
+        formData.name.trim(),
+        {
+          onProgress: (fraction) => {
+            setUploadProgress(Math.round(fraction * 100));
+            setMessage({ type: "", text: "" });
+          },
+          onRetry: () =>
+            setMessage({
+              type: "info",
+              text: "Connection lost - retrying, your upload will resume...",
+            }),
+        }
+      );
 
       if (response.data.success) {
         setMessage({
@@ -291,7 +298,9 @@ const SubmissionForm = () => {
               {isSubmitting ? (
                 <span className="loading-text">
                   <span className="spinner"></span>
-                  Submitting...
+                  {uploadProgress < 100
+                    ? `Uploading ${uploadProgress}%...`
+                    : "Submitting..."}
                 </span>
               ) : (
                 "Submit"
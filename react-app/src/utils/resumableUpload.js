@@ -0,0 +1,100 @@
+import axios from "axios";
+
+// Client for the backend's resumable upload protocol (/api/uploads).
+// The file goes up in numbered chunks; after a dropped connection we ask the
+// server for its offset and carry on from there instead of starting over.
+
+const MAX_RETRIES = 8;
+const RETRY_BASE_DELAY = 1000; // 1s, doubling up to RETRY_MAX_DELAY
+const RETRY_MAX_DELAY = 15000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const backoffDelay = (attempt) =>
+  Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+
+// Network failures and server errors are worth retrying; 4xx answers aren't
+const isRetryable = (error) =>
+  !error.response || error.response.status >= 500;
+
+// Run `request`, retrying with backoff. Waits for the browser to come back
+// online before each retry.
+async function withRetry(request, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= MAX_RETRIES) throw error;
+
+      if (onRetry) onRetry(attempt + 1);
+      await sleep(backoffDelay(attempt));
+
+      if (typeof navigator !== "undefined" && navigator.onLine === false) {
+        await new Promise((resolve) =>
+          window.addEventListener("online", resolve, { once: true })
+        );
+      }
+    }
+  }
+}
+
+// Upload `file` and turn it into a submission called `name`. Resolves with
+// the same response as POST /api/submit. onProgress(fraction) is called as
+// chunks are acknowledged, onRetry(attempt) whenever a request is retried.
+export async function resumableUpload(file, name, { onProgress, onRetry } = {}) {
+  const { data: session } = await withRetry(
+    () =>
+      axios.post("/api/uploads", {
+        filename: file.name,
+        content_type: file.type,
+        size: file.size,
+      }),
+    onRetry
+  );
+
+  const uploadId = session.upload_id;
+  const chunkSize = session.chunk_size;
+  let nextChunk = session.next_chunk;
+  let failures = 0;
+
+  while (nextChunk < session.total_chunks) {
+    const index = nextChunk;
+    const chunk = file.slice(index * chunkSize, (index + 1) * chunkSize);
+
+    try {
+      const { data } = await axios.put(
+        `/api/uploads/${uploadId}/chunks/${index}`,
+        chunk,
+        { headers: { "Content-Type": "application/octet-stream" } }
+      );
+      nextChunk = data.next_chunk;
+      failures = 0;
+    } catch (error) {
+      const status = error.response?.status;
+      if ((status !== 409 && !isRetryable(error)) || failures >= MAX_RETRIES) {
+        throw error;
+      }
+
+      // Connection dropped, or the server's offset differs from ours -
+      // find out what actually arrived, then resume from there
+      failures++;
+      if (onRetry) onRetry(failures);
+      await sleep(backoffDelay(failures - 1));
+
+      const { data } = await withRetry(
+        () => axios.get(`/api/uploads/${uploadId}`),
+        onRetry
+      );
+      nextChunk = data.next_chunk;
+    }
+
+    if (onProgress) {
+      onProgress(Math.min(nextChunk * chunkSize, file.size) / file.size);
+    }
+  }
+
+  return withRetry(
+    () => axios.post(`/api/uploads/${uploadId}/complete`, { name }),
+    onRetry
+  );
+}